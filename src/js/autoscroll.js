@@ -18,6 +18,7 @@
         this._step = step ? step : 1;
         this._axisFlag = axisFlag ? axisFlag : AutoScroll.SCROLL_AXIS_FLAG.Y | AutoScroll.SCROLL_AXIS_FLAG.X;
         this._scAreaWidth = scAreaWidth ? scAreaWidth : 5;
+        this._originalHandlers = {};
 
         this._fixupHandler('onmouseout',  this.offScrolls.bind(this));
         this._fixupHandler('ondragleave',  this.offScrolls.bind(this));
@@ -69,6 +70,13 @@
     AutoScroll.prototype._axisFlag = null;
     AutoScroll.prototype._scAreaWidth = 0;
 
+    /**
+     * The element handlers replaced by _fixupHandler, by handler name
+     * @type {Object}
+     * @private
+     */
+    AutoScroll.prototype._originalHandlers = null;
+
     /**
      * Indicates if scrolling functionality is generally enabled at the current time moment
      * @type {Boolean}
@@ -161,6 +169,18 @@
         }
     };
 
+    /**
+     * Stops scrolling and restores the element handlers replaced by the auto-scroll specific ones
+     */
+    AutoScroll.prototype.destroy = function () {
+        this.disableAScroll();
+        for (var evt in this._originalHandlers) {
+            this._elem[evt] = this._originalHandlers[evt] || null;
+        }
+        this._originalHandlers = {};
+        this._elem = null;
+    };
+
     /**
      * The default action to switch off all the enabled scrollings if some event occures on scrolling container
      * @param {MouseEvent} [e]
@@ -198,6 +218,7 @@
      * @private
      */
     AutoScroll.prototype._fixupHandler = function (evt, func) {
+        this._originalHandlers[evt] = this._elem[evt];
         if (this._elem[evt]) {
             this._elem[evt] = function(f1, f2) {
                 return function() {
@@ -0,0 +1,476 @@
+(function (_) {
+    // -----------------------------------------------------------------------------------------------------------------
+    // VGrid Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Virtual Grid Class, a VList whose rows are split into cells. Both the rows and the columns are virtualized:
+     * only the cells around the viewport are rendered, and the cell elements are reused while scrolling
+     * @param {Element} container a HTML container for displaying the grid
+     * @param {Function(Number, Number, Element, *)} [renderer] renderer to fill the cell element with content,
+     * accepts the row index, the column index, the cell element and the row item of the data source if set.
+     * The cell element may have been used for another cell before, so the renderer sets all of its content
+     * @param {Number} [rowCount] the number of rows
+     * @param {Number} [colCount] the number of columns
+     * @param {Number|Function(Number)} [rowHeight] the row height in 'px', or a function returning the height
+     * of the row with the passed index; the default is 30
+     * @param {Number|Function(Number)} [colWidth] the column width in 'px', or a function returning the width
+     * of the column with the passed index; the default is 100
+     * @class VGrid
+     * @constructor
+     */
+    function VGrid(container, renderer, rowCount, colCount, rowHeight, colWidth) {
+        this._colSizes = new VList.SizeIndex();
+
+        VList.call(this, container, renderer, 0, rowHeight);
+
+        if (this._containerState.role === null) {
+            this._container.setAttribute('role', 'grid');
+        }
+        this._container.classList.add('vgrid');
+
+        this.beginUpdate();
+        this.colWidth(colWidth || VGrid.DEFAULT_COL_WIDTH);
+        this.colCount(colCount || 0);
+        this.rowCount(rowCount || 0);
+        this.endUpdate();
+    }
+
+    /**
+     * The default column width in 'px'
+     * @type {Number}
+     */
+    VGrid.DEFAULT_COL_WIDTH = 100;
+
+    VGrid.prototype = Object.create(VList.prototype);
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VGrid Class implementation
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * The grid always reuses the row elements, and the cell elements within them
+     * @type {Boolean}
+     * @private
+     */
+    VGrid.prototype._recycleRows = true;
+
+    VGrid.prototype._colCount = 0;
+    VGrid.prototype._colWidth = 0;
+
+    /**
+     * Returns the width of the column with the passed index, if set columns may have different widths
+     * @type {Function(Number)}
+     * @private
+     */
+    VGrid.prototype._colWidthProvider = null;
+
+    /**
+     * Column offsets and widths
+     * @type {VList.SizeIndex}
+     * @private
+     */
+    VGrid.prototype._colSizes = null;
+
+    /**
+     * The number of the first rows kept at the top of the viewport
+     * @type {Number}
+     * @private
+     */
+    VGrid.prototype._frozenRows = 0;
+
+    /**
+     * The number of the first columns kept at the left of the viewport
+     * @type {Number}
+     * @private
+     */
+    VGrid.prototype._frozenCols = 0;
+
+    /**
+     * The range of the rendered columns which are not frozen: the first column index and the index after the last one
+     * @type {Number}
+     * @private
+     */
+    VGrid.prototype._colFirst = 0;
+    VGrid.prototype._colLast = 0;
+
+    /**
+     * The width in 'px' rendered beyond each side of the viewport, the columns are rendered again
+     * when the grid is scrolled horizontally by more than this width
+     * @type {Number}
+     * @private
+     */
+    VGrid.prototype._colCacheSize = 0;
+    VGrid.prototype._lastRenderScrollLeft = 0;
+
+    VGrid.prototype.colCount = function (colCount) {
+        if (!arguments.length) {
+            return this._colCount;
+        } else {
+            this._colCount = colCount;
+            this._updateColWidths();
+            this._updateScroller();
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the column width. The width may be a Number for equal columns
+     * or a Function(Number) returning the width of the column with the passed index
+     * @param {Number|Function(Number)} [colWidth]
+     * @returns {Number|Function(Number)|VGrid}
+     */
+    VGrid.prototype.colWidth = function (colWidth) {
+        if (!arguments.length) {
+            return this._colWidthProvider || this._colWidth;
+        } else {
+            if (typeof colWidth === 'function') {
+                this._colWidthProvider = colWidth;
+                this._colWidth = this._colWidth || VGrid.DEFAULT_COL_WIDTH;
+            } else {
+                this._colWidthProvider = null;
+                this._colWidth = colWidth;
+            }
+            this._updateColWidths();
+            this._updateScroller();
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Queries the column width function again, should be called when column widths have changed
+     * @returns {VGrid}
+     */
+    VGrid.prototype.invalidateColWidths = function () {
+        this._updateColWidths();
+        this._updateScroller();
+        this._render();
+        return this;
+    };
+
+    /**
+     * Gets or sets the number of the first rows which stay at the top of the viewport, like table headers
+     * @param {Number} [frozenRows]
+     * @returns {Number|VGrid}
+     */
+    VGrid.prototype.frozenRows = function (frozenRows) {
+        if (!arguments.length) {
+            return this._frozenRows;
+        } else {
+            this._frozenRows = frozenRows;
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the number of the first columns which stay at the left of the viewport
+     * @param {Number} [frozenCols]
+     * @returns {Number|VGrid}
+     */
+    VGrid.prototype.frozenCols = function (frozenCols) {
+        if (!arguments.length) {
+            return this._frozenCols;
+        } else {
+            this._frozenCols = frozenCols;
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Scrolls the grid to show the cell. The columns are scrolled as little as possible to show the whole cell,
+     * the rows are scrolled as by scrollToIndex()
+     * @param {Number} rowIndex
+     * @param {Number} colIndex
+     * @param {Object} [options] see scrollToIndex()
+     * @returns {Promise} resolved with the row element once the row is rendered, see scrollToIndex()
+     */
+    VGrid.prototype.scrollToCell = function (rowIndex, colIndex, options) {
+        colIndex = Math.max(0, Math.min(colIndex, this._colCount - 1));
+        if (colIndex >= this._frozenCols) {
+            // Keep the cell at the right of the frozen columns
+            var frozenWidth = this._colSizes.getOffset(this._frozenCols);
+            var colLeft = this._colSizes.getOffset(colIndex) - frozenWidth;
+            var colWidth = this._colSizes.getSize(colIndex);
+            var viewportWidth = this._container.clientWidth - frozenWidth;
+            var scrollLeft = this._container.scrollLeft;
+            if (colLeft < scrollLeft || colWidth > viewportWidth) {
+                scrollLeft = colLeft;
+            } else if (colLeft + colWidth > scrollLeft + viewportWidth) {
+                scrollLeft = colLeft + colWidth - viewportWidth;
+            }
+            if (scrollLeft !== this._container.scrollLeft) {
+                this._container.scrollLeft = scrollLeft;
+                this._updateColumns();
+            }
+        }
+        return this.scrollToIndex(rowIndex, options);
+    };
+
+    /**
+     * override
+     * In addition, returns the indexes of the first and the last visible columns (firstCol, lastCol)
+     */
+    VGrid.prototype.getVisibleRange = function () {
+        var range = VList.prototype.getVisibleRange.call(this);
+        range.firstCol = range.lastCol = -1;
+        if (this._colCount) {
+            var scrollLeft = this._container.scrollLeft;
+            range.firstCol = this._colSizes.getIndexAt(scrollLeft);
+            range.lastCol = this._colSizes.getIndexAt(Math.max(scrollLeft, scrollLeft + this._container.clientWidth - 1));
+        }
+        return range;
+    };
+
+    /** override */
+    VGrid.prototype.recycleRows = function () {
+        return arguments.length ? this : true;
+    };
+
+    /** override */
+    VGrid.prototype.destroy = function () {
+        if (this._container) {
+            this._container.classList.remove('vgrid');
+            this._container.removeAttribute('aria-colcount');
+        }
+        return VList.prototype.destroy.call(this);
+    };
+
+    VGrid.prototype._updateColWidths = function () {
+        this._colSizes.reset(this._colCount, this._colWidth, this._colWidthProvider);
+    };
+
+    /** override */
+    VGrid.prototype._updateVisibleRows = function () {
+        VList.prototype._updateVisibleRows.call(this);
+        this._colCacheSize = this._container.offsetWidth;
+    };
+
+    /** override */
+    VGrid.prototype._updateScroller = function () {
+        VList.prototype._updateScroller.call(this);
+        this._scroller.style.width = this._colSizes.getTotalSize() + 'px';
+        this._container.setAttribute('aria-colcount', this._colCount);
+    };
+
+    /**
+     * override
+     * The frozen rows are positioned relative to the viewport top
+     */
+    VGrid.prototype._getRowTop = function (index) {
+        if (index < this._frozenRows) {
+            return this._container.scrollTop + this._sizes.getOffset(index);
+        }
+        return VList.prototype._getRowTop.call(this, index);
+    };
+
+    /** override */
+    VGrid.prototype._getPinnedHeight = function (index) {
+        var pinnedHeight = VList.prototype._getPinnedHeight.call(this, index);
+        return index < this._frozenRows ? pinnedHeight : pinnedHeight + this._sizes.getOffset(this._frozenRows);
+    };
+
+    /** override */
+    VGrid.prototype._onScroll = function (e) {
+        VList.prototype._onScroll.call(this, e);
+        this._updateFrozenCells();
+    };
+
+    /**
+     * override
+     * In addition, the columns are rendered in the animation frame when the grid was scrolled horizontally,
+     * before the new rows are rendered with the same columns
+     */
+    VGrid.prototype._renderScrolled = function () {
+        if (this._updateCounter === 0
+            && Math.abs(this._container.scrollLeft - this._lastRenderScrollLeft) > this._colCacheSize) {
+            this._updateColumns();
+        }
+        VList.prototype._renderScrolled.call(this);
+    };
+
+    /**
+     * override
+     * The frozen rows are rendered in addition to the passed range. The kept rows of an incremental render
+     * have the columns rendered by _updateColumns, so the new rows get the same columns
+     */
+    VGrid.prototype._renderViewport = function (index, lastIndex, incremental) {
+        if (!incremental) {
+            this._updateColumnRange();
+        }
+        var frozenRows = Math.min(this._frozenRows, this._rowCount);
+        var rows = VList.prototype._renderViewport.call(this, Math.max(index, frozenRows), Math.max(lastIndex, frozenRows),
+            incremental);
+        if (frozenRows && this._renderer && this._rowHeight) {
+            var fragment = document.createDocumentFragment();
+            for (var i = 0; i < frozenRows; ++i) {
+                rows.push(incremental && this._renderedRows[i] || this._renderRow(i, fragment));
+            }
+            this._container.appendChild(fragment);
+        }
+        return rows;
+    };
+
+    /**
+     * override
+     * The rows are always put to the pool, except for the frozen rows
+     */
+    VGrid.prototype._releaseRows = function (index, lastIndex) {
+        var frozenRows = Math.min(this._frozenRows, this._rowCount);
+        for (var key in this._renderedRows) {
+            var i = +key;
+            if (i >= frozenRows && (i < index || i >= lastIndex)) {
+                this._poolRow(this._renderedRows[key]);
+                delete this._renderedRows[key];
+            }
+        }
+    };
+
+    /** override */
+    VGrid.prototype._createRow = function () {
+        var row = VList.prototype._createRow.call(this);
+        row._cells = {};
+        row._cellPool = [];
+        return row;
+    };
+
+    /** override */
+    VGrid.prototype._fillRow = function (row, index, recycled) {
+        if (index < this._frozenRows) {
+            row.classList.add('vfrozen');
+        } else {
+            row.classList.remove('vfrozen');
+        }
+        if (this._dataSource) {
+            if (this._dataSource.getItem(index) === undefined) {
+                row.classList.add('vplaceholder');
+            } else {
+                row.classList.remove('vplaceholder');
+            }
+        }
+        row.style.width = this._colSizes.getTotalSize() + 'px';
+        this._renderCells(row, index, true);
+    };
+
+    /** override */
+    VGrid.prototype._updateRowAria = function (row, index) {
+        row.id = this._idPrefix + '-' + index;
+        row.setAttribute('role', 'row');
+        row.setAttribute('aria-rowindex', index + 1);
+    };
+
+    /**
+     * Computes the range of the columns to be rendered around the viewport
+     * @private
+     */
+    VGrid.prototype._updateColumnRange = function () {
+        var scrollLeft = this._container.scrollLeft;
+        this._colFirst = this._colSizes.getIndexAt(scrollLeft - this._colCacheSize);
+        var lastOffset = this._colSizes.getOffset(this._colFirst) + 3 * this._colCacheSize;
+        this._colLast = this._colCount ? Math.min(this._colCount, this._colSizes.getIndexAt(lastOffset) + 1) : 0;
+        this._lastRenderScrollLeft = scrollLeft;
+    };
+
+    /**
+     * Renders the columns around the viewport in the rendered rows, only the cells of the newly shown columns
+     * are filled by the renderer
+     * @private
+     */
+    VGrid.prototype._updateColumns = function () {
+        this._updateColumnRange();
+        for (var index in this._renderedRows) {
+            this._renderCells(this._renderedRows[index], +index, false);
+        }
+    };
+
+    /**
+     * Renders the cells of the frozen and the rendered columns in the row, and puts the other cells to the row pool
+     * @param {Element} row the row element
+     * @param {Number} index the row index
+     * @param {Boolean} refill true to fill all the cells, false to fill only the cells which were not rendered
+     * @private
+     */
+    VGrid.prototype._renderCells = function (row, index, refill) {
+        var frozenCols = Math.min(this._frozenCols, this._colCount);
+        var colFirst = Math.max(this._colFirst, frozenCols);
+        for (var key in row._cells) {
+            var col = +key;
+            if (col >= frozenCols && (col < colFirst || col >= this._colLast) || col >= this._colCount) {
+                row._cells[key].style.display = 'none';
+                row._cellPool.push(row._cells[key]);
+                delete row._cells[key];
+            }
+        }
+
+        var item = this._dataSource ? this._dataSource.getItem(index) : undefined;
+        for (var i = 0; i < frozenCols; ++i) {
+            this._renderCell(row, index, i, refill, item);
+        }
+        for (var j = colFirst; j < this._colLast; ++j) {
+            this._renderCell(row, index, j, refill, item);
+        }
+    };
+
+    VGrid.prototype._renderCell = function (row, index, col, refill, item) {
+        var cell = row._cells[col];
+        if (cell && !refill) {
+            return;
+        }
+        if (!cell) {
+            cell = row._cellPool.pop();
+            if (cell) {
+                cell.style.display = '';
+            } else {
+                cell = document.createElement('div');
+                cell.classList.add('vcell');
+                cell.setAttribute('role', 'gridcell');
+                row.appendChild(cell);
+            }
+            row._cells[col] = cell;
+        }
+
+        if (col < this._frozenCols) {
+            cell.classList.add('vfrozen');
+        } else {
+            cell.classList.remove('vfrozen');
+        }
+        cell.style.left = this._getCellLeft(col) + 'px';
+        cell.style.width = this._colSizes.getSize(col) + 'px';
+        cell.setAttribute('aria-colindex', col + 1);
+        this._renderer(index, col, cell, item);
+    };
+
+    /**
+     * Returns the cell left position in the row, the frozen columns are positioned relative to the viewport left
+     * @param {Number} col the column index
+     * @returns {Number}
+     * @private
+     */
+    VGrid.prototype._getCellLeft = function (col) {
+        var left = this._colSizes.getOffset(col);
+        return col < this._frozenCols ? left + this._container.scrollLeft : left;
+    };
+
+    /**
+     * Moves the frozen rows and the frozen cells along with the scroll position
+     * @private
+     */
+    VGrid.prototype._updateFrozenCells = function () {
+        var frozenRows = Math.min(this._frozenRows, this._rowCount);
+        var frozenCols = Math.min(this._frozenCols, this._colCount);
+        for (var index in this._renderedRows) {
+            var row = this._renderedRows[index];
+            if (+index < frozenRows) {
+                row.style.top = this._getRowTop(+index) + 'px';
+            }
+            for (var col = 0; col < frozenCols; ++col) {
+                if (row._cells[col]) {
+                    row._cells[col].style.left = this._getCellLeft(col) + 'px';
+                }
+            }
+        }
+    };
+
+    _.VGrid = VGrid;
+})(this);
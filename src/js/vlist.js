@@ -1,20 +1,64 @@
 (function (_) {
     // Some code taken from https://github.com/sergi/virtual-list
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Virtual List Class
+     * @param {Element} container a HTML container for displaying the list
+     * @param {Function(Number, Element, Boolean)} [renderer] renderer to fill the row element with content.
+     * The third parameter is true if the element was used for another row before (see recycleRows)
+     * @param {Number} [rowCount] the number of rows
+     * @param {Number|Function(Number)} [rowHeight] the row height in 'px', or a function returning the height
+     * of the row with the passed index; the default is 30
+     * @class VList
+     * @constructor
+     */
     function VList(container, renderer, rowCount, rowHeight) {
         rowCount = rowCount || 0;
-        rowHeight = rowHeight || 30;
+        rowHeight = rowHeight || VList.DEFAULT_ROW_HEIGHT;
+
+        this._idPrefix = 'vlist' + (++VList._instanceCount);
+        this._sizes = new VList.SizeIndex();
+        this._renderedRows = {};
+        this._rowPool = [];
+        this._renderedHeaders = {};
+        this._headerPool = [];
+        this._measuredHeights = {};
+        this._listeners = {};
+        this._selection = new VList.RangeSet();
 
         // Create our scroller, first
         this._scroller = document.createElement('div');
         this._scroller.classList.add('vscroller');
+        this._scroller.setAttribute('aria-hidden', 'true');
 
         // Update our container styles & add scroller
         this._container = container;
+        this._containerState = {
+            overflow: container.style.overflow,
+            position: container.style.position,
+            role: container.getAttribute('role'),
+            tabindex: container.getAttribute('tabindex')
+        };
+        this._containerHandlers = {};
         this._container.style.overflow = 'auto';
         this._container.style.position = 'relative';
         this._container.classList.add('vlist');
+        if (this._containerState.role === null) {
+            this._container.setAttribute('role', 'listbox');
+        }
         this._container.appendChild(this._scroller);
-        this._container.addEventListener('scroll', this._onScroll.bind(this));
+        this._addContainerListener('scroll', this._onScroll);
+        this._addContainerListener('click', this._onRowClick);
+        this._addContainerListener('keydown', this._onKeyDown);
+
+        this._viewportWidth = this._container.clientWidth;
+        this._viewportHeight = this._container.clientHeight;
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._onResize.bind(this));
+            this._resizeObserver.observe(this._container);
+        }
 
         this.beginUpdate();
 
@@ -33,17 +77,949 @@
         this.endUpdate();
     }
 
+    /**
+     * The default row height in 'px'. Also used as an estimation of the row height when rows have different heights
+     * @type {Number}
+     */
+    VList.DEFAULT_ROW_HEIGHT = 30;
+
+    /**
+     * The maximal scroller height in 'px'. Browsers limit the element height, so when the rows take more space,
+     * the scroll space is split into pages and rows are shifted by the page offset
+     * @type {Number}
+     */
+    VList.MAX_SCROLLER_SIZE = 10000000;
+
+    /**
+     * The duration of the smooth scrolling in milliseconds
+     * @type {Number}
+     */
+    VList.SMOOTH_SCROLL_DURATION = 300;
+
+    /**
+     * The element property names used along and across the scrolling axis by orientation
+     * @enum
+     * @private
+     */
+    VList._Axes = {
+        vertical: {
+            scroll: 'scrollTop', clientSize: 'clientHeight', offsetSize: 'offsetHeight',
+            start: 'top', size: 'height', maxSize: 'maxHeight',
+            crossClientSize: 'clientWidth', crossStart: 'left', crossSize: 'width'
+        },
+        horizontal: {
+            scroll: 'scrollLeft', clientSize: 'clientWidth', offsetSize: 'offsetWidth',
+            start: 'left', size: 'width', maxSize: 'maxWidth',
+            crossClientSize: 'clientHeight', crossStart: 'top', crossSize: 'height'
+        }
+    };
+
+    /**
+     * The number of created lists used to make unique row element identifiers
+     * @type {Number}
+     * @private
+     */
+    VList._instanceCount = 0;
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList.SizeIndex auxiliary Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Keeps the sizes of a sequence of items and answers offset queries in logarithmic time.
+     * While no item has an individual size, offsets are computed from the default size only,
+     * otherwise a Fenwick tree over the differences from the default size is maintained.
+     * @param {Number} [count] the number of items
+     * @param {Number} [defaultSize] the size of an item which has no individual size
+     * @constructor
+     */
+    VList.SizeIndex = function (count, defaultSize) {
+        this.reset(count, defaultSize);
+    };
+
+    VList.SizeIndex.prototype._count = 0;
+    VList.SizeIndex.prototype._defaultSize = 0;
+
+    /**
+     * Individual item sizes, NaN for the items having the default size. Null while no item has an individual size
+     * @type {Float64Array}
+     * @private
+     */
+    VList.SizeIndex.prototype._sizes = null;
+
+    /**
+     * Fenwick tree (1-based) over the differences between the individual and the default item sizes
+     * @type {Float64Array}
+     * @private
+     */
+    VList.SizeIndex.prototype._tree = null;
+
+    /**
+     * Drops all the individual sizes and optionally fills them from a size provider
+     * @param {Number} count the number of items
+     * @param {Number} defaultSize the size of an item which has no individual size
+     * @param {Function(Number)} [sizeProvider] returns the size of the item with the passed index
+     */
+    VList.SizeIndex.prototype.reset = function (count, defaultSize, sizeProvider) {
+        this._count = count || 0;
+        this._defaultSize = defaultSize || 0;
+        this._sizes = null;
+        this._tree = null;
+        if (sizeProvider && this._count) {
+            this._allocate(this._count);
+            for (var i = 0; i < this._count; ++i) {
+                this._sizes[i] = sizeProvider(i);
+            }
+            this._rebuild();
+        }
+    };
+
+    VList.SizeIndex.prototype.getCount = function () {
+        return this._count;
+    };
+
+    /**
+     * Changes the number of items keeping the individual sizes of the remaining items. The added items have
+     * the default size, and adding items takes amortized constant time per item
+     * @param {Number} count the new number of items
+     */
+    VList.SizeIndex.prototype.setCount = function (count) {
+        count = count || 0;
+        if (!this._sizes || count >= this._count && count <= this._sizes.length) {
+            // The items beyond the count have no individual size, so the tree doesn't change
+            this._count = count;
+            return;
+        }
+        if (count > this._sizes.length) {
+            this._allocate(Math.max(count, 2 * this._sizes.length));
+        } else {
+            this._sizes.fill(NaN, count, this._count);
+        }
+        this._count = count;
+        this._rebuild();
+    };
+
+    VList.SizeIndex.prototype.getSize = function (index) {
+        if (this._sizes && index < this._count && !isNaN(this._sizes[index])) {
+            return this._sizes[index];
+        }
+        return this._defaultSize;
+    };
+
+    /**
+     * Sets an individual item size
+     * @param {Number} index the item index
+     * @param {Number} size the item size
+     */
+    VList.SizeIndex.prototype.setSize = function (index, size) {
+        if (index < 0 || index >= this._count) {
+            return;
+        }
+        if (!this._sizes) {
+            if (size === this._defaultSize) {
+                return;
+            }
+            this._allocate(this._count);
+        }
+        var delta = size - this.getSize(index);
+        this._sizes[index] = size;
+        if (delta) {
+            for (var k = index + 1, l = this._tree.length; k < l; k += k & -k) {
+                this._tree[k] += delta;
+            }
+        }
+    };
+
+    /**
+     * Returns the offset of the item start, which is the sum of all the previous item sizes
+     * @param {Number} index the item index, may be equal to the number of items to get the total size
+     * @returns {Number}
+     */
+    VList.SizeIndex.prototype.getOffset = function (index) {
+        index = Math.max(0, Math.min(index, this._count));
+        var offset = index * this._defaultSize;
+        if (this._tree) {
+            for (var k = index; k > 0; k -= k & -k) {
+                offset += this._tree[k];
+            }
+        }
+        return offset;
+    };
+
+    /**
+     * Returns the index of the item containing the passed offset, limited by the first and the last item.
+     * The items of zero size are skipped
+     * @param {Number} offset
+     * @returns {Number}
+     */
+    VList.SizeIndex.prototype.getIndexAt = function (offset) {
+        var index = 0;
+        if (offset >= 0) {
+            if (this._tree) {
+                var acc = 0;
+                var step = 1;
+                while (step * 2 < this._tree.length) {
+                    step *= 2;
+                }
+                for (; step > 0; step >>= 1) {
+                    var next = index + step;
+                    if (next < this._tree.length) {
+                        var nextAcc = acc + step * this._defaultSize + this._tree[next];
+                        if (nextAcc <= offset) {
+                            index = next;
+                            acc = nextAcc;
+                        }
+                    }
+                }
+            } else if (this._defaultSize) {
+                index = Math.floor(offset / this._defaultSize);
+            }
+        }
+        return Math.max(0, Math.min(index, this._count - 1));
+    };
+
+    VList.SizeIndex.prototype.getTotalSize = function () {
+        return this.getOffset(this._count);
+    };
+
+    VList.SizeIndex.prototype._allocate = function (capacity) {
+        var sizes = new Float64Array(capacity);
+        sizes.fill(NaN);
+        if (this._sizes) {
+            sizes.set(this._sizes.subarray(0, Math.min(this._count, capacity)));
+        }
+        this._sizes = sizes;
+        this._tree = new Float64Array(capacity + 1);
+    };
+
+    /**
+     * Rebuilds the Fenwick tree from the individual sizes in linear time
+     * @private
+     */
+    VList.SizeIndex.prototype._rebuild = function () {
+        var tree = this._tree;
+        tree.fill(0);
+        for (var i = 0; i < this._count; ++i) {
+            if (!isNaN(this._sizes[i])) {
+                tree[i + 1] += this._sizes[i] - this._defaultSize;
+            }
+        }
+        for (var k = 1, l = tree.length; k < l; ++k) {
+            var parent = k + (k & -k);
+            if (parent < l) {
+                tree[parent] += tree[k];
+            }
+        }
+    };
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList.RangeSet auxiliary Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * A set of indexes kept as sorted disjoint ranges, so that huge ranges take little memory
+     * @constructor
+     */
+    VList.RangeSet = function () {
+        this._ranges = [];
+    };
+
+    /**
+     * Sorted disjoint ranges as pairs of the first and the last index: [first0, last0, first1, last1, ...]
+     * @type {Array}
+     * @private
+     */
+    VList.RangeSet.prototype._ranges = null;
+
+    VList.RangeSet.prototype.has = function (index) {
+        var i = this._find(index);
+        return i < this._ranges.length && this._ranges[i] <= index;
+    };
+
+    VList.RangeSet.prototype.isEmpty = function () {
+        return !this._ranges.length;
+    };
+
+    /**
+     * Returns the number of indexes in the set
+     * @returns {Number}
+     */
+    VList.RangeSet.prototype.size = function () {
+        var size = 0;
+        for (var i = 0; i < this._ranges.length; i += 2) {
+            size += this._ranges[i + 1] - this._ranges[i] + 1;
+        }
+        return size;
+    };
+
+    /**
+     * Adds the indexes from first to last inclusive
+     * @param {Number} first
+     * @param {Number} [last] the same as first if not passed
+     */
+    VList.RangeSet.prototype.add = function (first, last) {
+        last = last === undefined ? first : last;
+        // Merge with the ranges overlapping or adjacent to the added one
+        var i = this._find(first - 1);
+        var j = i;
+        while (j < this._ranges.length && this._ranges[j] <= last + 1) {
+            first = Math.min(first, this._ranges[j]);
+            last = Math.max(last, this._ranges[j + 1]);
+            j += 2;
+        }
+        this._ranges.splice(i, j - i, first, last);
+    };
+
+    /**
+     * Removes the indexes from first to last inclusive
+     * @param {Number} first
+     * @param {Number} [last] the same as first if not passed
+     */
+    VList.RangeSet.prototype.remove = function (first, last) {
+        last = last === undefined ? first : last;
+        var i = this._find(first);
+        var j = i;
+        var rest = [];
+        while (j < this._ranges.length && this._ranges[j] <= last) {
+            if (this._ranges[j] < first) {
+                rest.push(this._ranges[j], first - 1);
+            }
+            if (this._ranges[j + 1] > last) {
+                rest.push(last + 1, this._ranges[j + 1]);
+            }
+            j += 2;
+        }
+        this._ranges.splice.apply(this._ranges, [i, j - i].concat(rest));
+    };
+
+    /**
+     * Shifts the indexes starting from the passed one by count, as if count new unselected indexes were inserted there
+     * @param {Number} index
+     * @param {Number} count
+     */
+    VList.RangeSet.prototype.insert = function (index, count) {
+        var i = this._find(index);
+        if (i < this._ranges.length && this._ranges[i] < index) {
+            // Split the range containing the index
+            this._ranges.splice(i + 1, 0, index - 1, index);
+            i += 2;
+        }
+        for (; i < this._ranges.length; ++i) {
+            this._ranges[i] += count;
+        }
+    };
+
+    VList.RangeSet.prototype.clear = function () {
+        this._ranges = [];
+    };
+
+    /**
+     * Returns the ranges as an Array of [first, last] pairs
+     * @returns {Array}
+     */
+    VList.RangeSet.prototype.getRanges = function () {
+        var ranges = [];
+        for (var i = 0; i < this._ranges.length; i += 2) {
+            ranges.push([this._ranges[i], this._ranges[i + 1]]);
+        }
+        return ranges;
+    };
+
+    /**
+     * Returns all the indexes in ascending order
+     * @returns {Array}
+     */
+    VList.RangeSet.prototype.toArray = function () {
+        var indexes = [];
+        for (var i = 0; i < this._ranges.length; i += 2) {
+            for (var index = this._ranges[i]; index <= this._ranges[i + 1]; ++index) {
+                indexes.push(index);
+            }
+        }
+        return indexes;
+    };
+
+    /**
+     * Returns the position in _ranges of the first range whose last index is not less than the passed index
+     * @param {Number} index
+     * @returns {Number}
+     * @private
+     */
+    VList.RangeSet.prototype._find = function (index) {
+        var low = 0;
+        var high = this._ranges.length / 2;
+        while (low < high) {
+            var mid = (low + high) >> 1;
+            if (this._ranges[mid * 2 + 1] < index) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low * 2;
+    };
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList.PagedDataSource auxiliary Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Loads list items by pages on demand and keeps the recently used pages in a LRU cache
+     * @param {Function(Number, Number)} loader loads the items, accepts the first item index and the number of items
+     * to load, and returns a Promise resolved with an Array of items or with an Object {items: Array, total: Number}.
+     * An Array shorter than requested means the end of the list.
+     * @param {Number} [pageSize] the number of items in a page, default is 100
+     * @param {Number} [cachedPages] the maximal number of cached pages, default is 50
+     * @param {Number} [total] the total number of items, if known
+     * @constructor
+     */
+    VList.PagedDataSource = function (loader, pageSize, cachedPages, total) {
+        this._loader = loader;
+        this._pageSize = pageSize ? pageSize : 100;
+        this._cachedPages = cachedPages ? cachedPages : 50;
+        this._total = typeof total === 'number' ? total : null;
+        this._pages = {};
+        this._pending = {};
+    };
+
+    VList.PagedDataSource.prototype._loader = null;
+    VList.PagedDataSource.prototype._pageSize = 0;
+    VList.PagedDataSource.prototype._cachedPages = 0;
+
+    /**
+     * The total number of items, null while unknown
+     * @type {Number}
+     * @private
+     */
+    VList.PagedDataSource.prototype._total = null;
+
+    /**
+     * The number of items up to the last loaded one
+     * @type {Number}
+     * @private
+     */
+    VList.PagedDataSource.prototype._loadedCount = 0;
+
+    /**
+     * Loaded pages by page number, each page is an Object {items: Array, used: Number}
+     * @type {Object}
+     * @private
+     */
+    VList.PagedDataSource.prototype._pages = null;
+    VList.PagedDataSource.prototype._pageCount = 0;
+
+    /**
+     * Page numbers being loaded
+     * @type {Object}
+     * @private
+     */
+    VList.PagedDataSource.prototype._pending = null;
+
+    /**
+     * Usage counter for LRU eviction
+     * @type {Number}
+     * @private
+     */
+    VList.PagedDataSource.prototype._useCounter = 0;
+
+    /**
+     * Incremented on reset to ignore the pages requested before
+     * @type {Number}
+     * @private
+     */
+    VList.PagedDataSource.prototype._generation = 0;
+
+    /**
+     * Called with the first and after the last changed item indexes when a page is loaded, the items are reset
+     * or the total is changed
+     * @type {Function(Number, Number)}
+     * @private
+     */
+    VList.PagedDataSource.prototype._listener = null;
+
+    /**
+     * Returns the number of rows to show: the total number of items if known, otherwise the number of loaded items
+     * plus a page of rows for the items to be loaded
+     * @returns {Number}
+     */
+    VList.PagedDataSource.prototype.getRowCount = function () {
+        return this._total !== null ? this._total : this._loadedCount + this._pageSize;
+    };
+
+    /**
+     * Returns the total number of items or null if it is not known yet
+     * @returns {Number}
+     */
+    VList.PagedDataSource.prototype.getTotal = function () {
+        return this._total;
+    };
+
+    /**
+     * Sets the total number of items, e.g. when new items have appeared on the server
+     * @param {Number} total the total number or null if unknown
+     */
+    VList.PagedDataSource.prototype.setTotal = function (total) {
+        this._total = typeof total === 'number' ? total : null;
+        this._notify(0, 0);
+    };
+
+    /**
+     * Returns the item with the passed index or undefined if the item is not loaded
+     * @param {Number} index
+     * @returns {*}
+     */
+    VList.PagedDataSource.prototype.getItem = function (index) {
+        var page = this._pages[Math.floor(index / this._pageSize)];
+        if (page) {
+            page.used = ++this._useCounter;
+            return page.items[index % this._pageSize];
+        }
+        return undefined;
+    };
+
+    VList.PagedDataSource.prototype.isLoaded = function (index) {
+        return !!this._pages[Math.floor(index / this._pageSize)];
+    };
+
+    /**
+     * Starts loading the pages of the passed item range which are neither loaded nor being loaded
+     * @param {Number} index the first item index
+     * @param {Number} lastIndex the index after the last item
+     */
+    VList.PagedDataSource.prototype.request = function (index, lastIndex) {
+        if (this._total !== null) {
+            lastIndex = Math.min(lastIndex, this._total);
+        }
+        for (var page = Math.floor(index / this._pageSize); page * this._pageSize < lastIndex; ++page) {
+            if (this._pages[page]) {
+                this._pages[page].used = ++this._useCounter;
+            } else if (!this._pending[page]) {
+                this._loadPage(page);
+            }
+        }
+    };
+
+    /**
+     * Drops all the loaded items, e.g. when the data has changed on the server
+     * @param {Number} [total] the new total number of items, if known
+     */
+    VList.PagedDataSource.prototype.reset = function (total) {
+        ++this._generation;
+        this._pages = {};
+        this._pending = {};
+        this._pageCount = 0;
+        this._loadedCount = 0;
+        this._total = typeof total === 'number' ? total : null;
+        this._notify(0, Infinity);
+    };
+
+    VList.PagedDataSource.prototype._loadPage = function (page) {
+        var generation = this._generation;
+        var index = page * this._pageSize;
+        this._pending[page] = true;
+
+        var loadFailed = function () {
+            // Let the page be requested again by the next render
+            if (generation === this._generation) {
+                delete this._pending[page];
+            }
+        }.bind(this);
+
+        // A loader throwing synchronously rejects the promise instead of breaking the render
+        new Promise(function (resolve) {
+            resolve(this._loader(index, this._pageSize));
+        }.bind(this)).then(function (result) {
+            var items = Array.isArray(result) ? result : result && result.items;
+            if (!Array.isArray(items)) {
+                loadFailed();
+                return;
+            }
+            if (generation !== this._generation) {
+                return;
+            }
+            delete this._pending[page];
+
+            if (!Array.isArray(result) && typeof result.total === 'number') {
+                this._total = result.total;
+            } else if (items.length < this._pageSize && (this._total === null || this._total < index + items.length)) {
+                this._total = index + items.length;
+            }
+
+            this._pages[page] = {items: items, used: ++this._useCounter};
+            ++this._pageCount;
+            this._loadedCount = Math.max(this._loadedCount, index + items.length);
+            this._evictPages();
+            this._notify(index, index + items.length);
+        }.bind(this), loadFailed);
+    };
+
+    VList.PagedDataSource.prototype._evictPages = function () {
+        while (this._pageCount > this._cachedPages) {
+            var lruPage = null;
+            for (var page in this._pages) {
+                if (lruPage === null || this._pages[page].used < this._pages[lruPage].used) {
+                    lruPage = page;
+                }
+            }
+            delete this._pages[lruPage];
+            --this._pageCount;
+        }
+    };
+
+    VList.PagedDataSource.prototype._notify = function (index, lastIndex) {
+        if (this._listener) {
+            this._listener(index, lastIndex);
+        }
+    };
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList.jQueryAdapter row hooks
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Row hooks releasing the jQuery data and event handlers of the removed rows, see VList.prototype.rowHooks()
+     * @type {Object}
+     */
+    VList.jQueryAdapter = {
+        onRowRemove: function (row) {
+            if (window.hasOwnProperty("jQuery")
+                && jQuery.hasOwnProperty("cleanData")
+                && jQuery.hasOwnProperty("merge")) {
+                jQuery.cleanData(jQuery.merge(row.querySelectorAll('*'), row));
+            }
+        }
+    };
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VList Class implementation
+    // -----------------------------------------------------------------------------------------------------------------
     VList.prototype._renderer = null;
     VList.prototype._rowHeight = 0;
+
+    /**
+     * Returns the height of the row with the passed index, if set rows may have different heights
+     * @type {Function(Number)}
+     * @private
+     */
+    VList.prototype._rowHeightProvider = null;
+
+    /**
+     * Row offsets and heights
+     * @type {VList.SizeIndex}
+     * @private
+     */
+    VList.prototype._sizes = null;
     VList.prototype._rowCount = 0;
     VList.prototype._visibleRows = 0;
-    VList.prototype._cachedRows = 0;
+
+    /**
+     * The viewport size rounded up to whole rows, which is the default overscan in 'px'
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollCacheSize = 0;
     VList.prototype._scroller = null;
     VList.prototype._updateCounter = 0;
     VList.prototype._lastRenderScrollTop = 0;
+
+    /**
+     * The rendered rows beyond the viewport: {rows: Number} or {pixels: Number} with an optional lean
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._overscan = null;
+
+    /**
+     * The scroll direction since the last render while rendering on scroll: 1 forward, -1 backward, 0 otherwise
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollDirection = 0;
+
+    /**
+     * The animation frame request identifier to render the rows for the scroll position
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._renderFrameId = null;
+
+    /**
+     * The rows range computed by the last render: {first: Number, last: Number}
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._renderRange = null;
     VList.prototype._lastCleanedTime = 0;
     VList.prototype._cleanViewportTimerId = null;
 
+    /**
+     * Indicates if the row heights are measured from the rendered rows
+     * @type {Boolean}
+     * @private
+     */
+    VList.prototype._autoHeight = false;
+
+    /**
+     * Measured row heights by row index
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._measuredHeights = null;
+
+    /**
+     * Indicates if the row elements are reused for other rows instead of being recreated on each render
+     * @type {Boolean}
+     * @private
+     */
+    VList.prototype._recycleRows = false;
+
+    /**
+     * The row lifecycle callbacks: onRowCreate, onRowUpdate and onRowRemove
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._rowHooks = VList.jQueryAdapter;
+
+    /**
+     * The first row indexes of the groups in ascending order, null if the rows are not grouped
+     * @type {Array}
+     * @private
+     */
+    VList.prototype._groupStarts = null;
+
+    /**
+     * Fills the group header element with content
+     * @type {Function(Number, Element, Boolean)}
+     * @private
+     */
+    VList.prototype._groupRenderer = null;
+
+    /**
+     * The group header height in 'px', 0 to use the row height
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._groupHeaderHeight = 0;
+
+    /**
+     * The rendered group header elements by group index
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._renderedHeaders = null;
+
+    /**
+     * Hidden group header elements ready to be reused
+     * @type {Array}
+     * @private
+     */
+    VList.prototype._headerPool = null;
+
+    /**
+     * The header of the group of the top visible row pinned to the top of the viewport
+     * @type {Element}
+     * @private
+     */
+    VList.prototype._stickyHeader = null;
+
+    /**
+     * The group index shown by the sticky header, -1 if none
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._stickyGroup = -1;
+
+    /**
+     * The rendered row elements by row index
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._renderedRows = null;
+
+    /**
+     * Hidden row elements ready to be reused
+     * @type {Array}
+     * @private
+     */
+    VList.prototype._rowPool = null;
+
+    /**
+     * The scroller height in 'px' which is the row space height limited by VList.MAX_SCROLLER_SIZE
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollerSize = 0;
+
+    /**
+     * The row space is split into pages of this size in 'px' when it doesn't fit the scroller
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollPageSize = 0;
+    VList.prototype._scrollPageCount = 1;
+
+    /**
+     * The row space offset added for each next page
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollPageJump = 0;
+    VList.prototype._scrollPage = 0;
+
+    /**
+     * The difference between the row space offset and the container scrollTop for the current page
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollShift = 0;
+
+    /**
+     * The container scrollTop handled by the last scroll event
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._lastScrollTop = 0;
+
+    /**
+     * The animation frame request identifier of the running smooth scrolling
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._scrollAnimationId = null;
+    VList.prototype._scrollAnimationCallback = null;
+
+    /**
+     * The source of the row items, if set
+     * @type {VList.PagedDataSource}
+     * @private
+     */
+    VList.prototype._dataSource = null;
+
+    /**
+     * How rows are selected with the mouse: 'none', 'single', 'range' or 'multiple'
+     * @type {String}
+     * @private
+     */
+    VList.prototype._selectionMode = 'none';
+
+    /**
+     * Selected row indexes
+     * @type {VList.RangeSet}
+     * @private
+     */
+    VList.prototype._selection = null;
+
+    /**
+     * The index of the row which was selected last, -1 if there is no such row
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._activeIndex = -1;
+
+    /**
+     * The index of the row from which a range is selected with Shift, -1 if there is no such row
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._anchorIndex = -1;
+
+    /**
+     * The container styles and attributes before it was taken by the list, restored by destroy()
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._containerState = null;
+
+    /**
+     * The listeners added to the container by event type, removed by destroy()
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._containerHandlers = null;
+
+    /**
+     * Watches the container size changes
+     * @type {ResizeObserver}
+     * @private
+     */
+    VList.prototype._resizeObserver = null;
+
+    /**
+     * The container client size at the last layout
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._viewportWidth = 0;
+    VList.prototype._viewportHeight = 0;
+
+    /**
+     * The prefix of the row element identifiers, unique for each list
+     * @type {String}
+     * @private
+     */
+    VList.prototype._idPrefix = null;
+
+    /**
+     * Event listeners by event type
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._listeners = null;
+
+    /**
+     * The first and the last rendered row indexes, -1 if no row is rendered
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._renderedFirst = -1;
+    VList.prototype._renderedLast = -1;
+
+    /**
+     * The last visible range reported by the 'rangechange' event
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._lastRange = null;
+
+    /**
+     * Indicates if the list stays scrolled to the bottom while rows are appended
+     * @type {Boolean}
+     * @private
+     */
+    VList.prototype._followTail = false;
+
+    /**
+     * The tile width in 'px' in the tile layout, 0 for the list layout
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._tileWidth = 0;
+
+    /**
+     * The number of tiles in a line, computed from the container width
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._tileColumns = 1;
+
+    /**
+     * The property names of the scrolling axis, see VList._Axes
+     * @type {Object}
+     * @private
+     */
+    VList.prototype._axis = VList._Axes.vertical;
+
+    /**
+     * The number of rows added by appendRows() and prependRows() and not applied yet
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._pendingAppend = 0;
+    VList.prototype._pendingPrepend = 0;
+
+    /**
+     * The animation frame request identifier to apply the added rows
+     * @type {Number}
+     * @private
+     */
+    VList.prototype._pendingRowsId = null;
+
     VList.prototype._renderer = function (renderer) {
         if (!arguments.length) {
             return this._renderer;
@@ -54,11 +1030,25 @@
         }
     };
 
+    /**
+     * Gets or sets the row height. The height may be a Number for equal rows
+     * or a Function(Number) returning the height of the row with the passed index
+     * @param {Number|Function(Number)} [rowHeight]
+     * @returns {Number|Function(Number)|VList}
+     */
     VList.prototype.rowHeight = function (rowHeight) {
         if (!arguments.length) {
-            return this._rowHeight;
+            return this._rowHeightProvider || this._rowHeight;
         } else {
-            this._rowHeight = rowHeight;
+            if (typeof rowHeight === 'function') {
+                // Keep the previous fixed height as an estimation for the number of visible rows
+                this._rowHeightProvider = rowHeight;
+                this._rowHeight = this._rowHeight || VList.DEFAULT_ROW_HEIGHT;
+            } else {
+                this._rowHeightProvider = null;
+                this._rowHeight = rowHeight;
+            }
+            this._updateRowHeights();
             this._updateVisibleRows();
             this._updateScroller();
             this._render();
@@ -70,111 +1060,1856 @@
         if (!arguments.length) {
             return this._rowCount;
         } else {
+            if (rowCount < this._rowCount && !this._selection.isEmpty()) {
+                this._selection.remove(rowCount, this._rowCount - 1);
+                this._activeIndex = this._activeIndex < rowCount ? this._activeIndex : -1;
+                this._anchorIndex = this._anchorIndex < rowCount ? this._anchorIndex : -1;
+                this._emitSelectionChange();
+            }
+            this._cancelPendingRows();
             this._rowCount = rowCount;
+            this._updateRowHeights();
             this._updateScroller();
             this._render();
             return this;
         }
     };
 
-    VList.prototype.beginUpdate = function () {
-        this._updateCounter++;
-    };
-
-    VList.prototype.endUpdate = function () {
-        if (--this._updateCounter === 0) {
-            this._render();
+    /**
+     * Gets or sets the follow-tail mode. When on, the list is scrolled to the bottom and stays there
+     * while rows are appended, unless it is scrolled up by the user; scrolling back to the bottom follows again
+     * @param {Boolean} [followTail]
+     * @returns {Boolean|VList}
+     */
+    VList.prototype.followTail = function (followTail) {
+        if (!arguments.length) {
+            return this._followTail;
+        } else {
+            this._followTail = !!followTail;
+            if (this._followTail) {
+                this._scrollToTail();
+            }
+            return this;
         }
     };
 
-    VList.prototype.refresh = function () {
-        this._updateVisibleRows();
-        this._updateScroller();
-        this._render();
+    /**
+     * Adds rows to the end of the list. The rows added by the calls during an animation frame are rendered once
+     * on the next frame, so rowCount() changes then. The visible rows keep their place, or the list stays scrolled
+     * to the bottom in the follow-tail mode
+     * @param {Number} count the number of added rows
+     * @returns {VList}
+     */
+    VList.prototype.appendRows = function (count) {
+        this._pendingAppend += count;
+        this._requestPendingRows();
         return this;
     };
 
-    VList.prototype._render = function () {
-        if (this._updateCounter === 0) {
-            var scrollTop = this._container.scrollTop;
-            var first = parseInt(scrollTop / this._rowHeight) - this._visibleRows;
-            this._renderViewport(first < 0 ? 0 : first);
-        }
+    /**
+     * Adds rows to the beginning of the list, the existing rows indexes are shifted by count. The rows are applied
+     * on the next animation frame like by appendRows(), keeping the visible rows, the selection and the measured
+     * row heights with the shifted rows
+     * @param {Number} count the number of added rows
+     * @returns {VList}
+     */
+    VList.prototype.prependRows = function (count) {
+        this._pendingPrepend += count;
+        this._requestPendingRows();
         return this;
     };
 
-    VList.prototype._updateVisibleRows = function () {
-        this._visibleRows = Math.ceil(this._container.offsetHeight / this._rowHeight);
-        this._cachedRows = this._visibleRows * 3;
-        this._scrollCacheSize = this._visibleRows * this._rowHeight;
-    };
-
-    VList.prototype._updateScroller = function () {
-        this._scroller.style.height = (this._rowCount * this._rowHeight).toString() + 'px';
+    /**
+     * Adds an event listener. The events are:
+     * 'scroll' - the list is scrolled, the event has the visible range fields and scrollTop;
+     * 'rangechange' - the visible or the rendered rows have changed, the event is the visible range;
+     * 'render' - the rows are rendered, the event is the visible range;
+     * 'rowrender' - a row is rendered, the event has index, row and recycled fields.
+     * See getVisibleRange for the visible range fields
+     * @param {String} type the event type
+     * @param {Function(Object)} listener
+     * @returns {VList}
+     */
+    VList.prototype.on = function (type, listener) {
+        (this._listeners[type] || (this._listeners[type] = [])).push(listener);
+        return this;
     };
 
-    VList.prototype._onScroll = function (e) {
-        e.preventDefault();
-        this._requestViewportClean();
-
-        var scrollTop = this._container.scrollTop;
-        if (!this._lastRenderScrollTop || Math.abs(scrollTop - this._lastRenderScrollTop) > this._scrollCacheSize) {
-            this._updateVisibleRows(); // <= sometimes first scroll will have outdated number of visible rows
-            this._render();
-            this._lastRenderScrollTop = scrollTop;
+    /**
+     * Removes an event listener
+     * @param {String} type the event type
+     * @param {Function(Object)} listener
+     * @returns {VList}
+     */
+    VList.prototype.off = function (type, listener) {
+        var listeners = this._listeners[type];
+        if (listeners) {
+            var i = listeners.indexOf(listener);
+            if (i >= 0) {
+                listeners.splice(i, 1);
+            }
         }
+        return this;
     };
 
-    VList.prototype._renderViewport = function (index) {
-        for (var j = 1, l = this._container.childNodes.length; j < l; j++) {
-            this._container.childNodes[j].style.display = 'none';
-            this._container.childNodes[j].setAttribute('data-clean', '');
+    /**
+     * Gets or sets how rows are selected with the mouse:
+     * 'none' (default) - rows are not selected on click;
+     * 'single' - a clicked row is selected;
+     * 'range' - a clicked row is selected, Shift-click selects the rows from the last clicked row;
+     * 'multiple' - as 'range', and Ctrl/Cmd-click toggles the row selection, Ctrl/Cmd-Shift-click adds a range.
+     * Selected rows have the 'vselected' style
+     * @param {String} [selectionMode]
+     * @returns {String|VList}
+     */
+    VList.prototype.selectionMode = function (selectionMode) {
+        if (!arguments.length) {
+            return this._selectionMode;
+        } else {
+            this._selectionMode = selectionMode || 'none';
+            if (this._selectionMode === 'multiple' || this._selectionMode === 'range') {
+                this._container.setAttribute('aria-multiselectable', 'true');
+            } else {
+                this._container.removeAttribute('aria-multiselectable');
+            }
+            if (this._selectionMode === 'none') {
+                this.clearSelection();
+            } else if (this._containerState.tabindex === null) {
+                this._container.tabIndex = 0;
+            }
+            for (var index in this._renderedRows) {
+                this._updateRowSelection(this._renderedRows[index]);
+            }
+            return this;
         }
+    };
 
-        if (this._rowCount && this._renderer && this._rowHeight) {
-            var lastIndex = Math.min(this._rowCount, index + this._cachedRows);
+    /**
+     * Returns the selected row indexes in ascending order
+     * @returns {Array}
+     */
+    VList.prototype.getSelection = function () {
+        return this._selection.toArray();
+    };
 
-            var fragment = document.createDocumentFragment();
+    /**
+     * Returns the selected rows as an Array of [first, last] index pairs, which is compact for huge selections
+     * @returns {Array}
+     */
+    VList.prototype.getSelectionRanges = function () {
+        return this._selection.getRanges();
+    };
 
-            for (var i = index; i < lastIndex; i++) {
-                var row = document.createElement('div');
-                row.classList.add('vrow');
-                row.style.top = (i * this._rowHeight) + 'px';
-                this._renderer(i, row);
-                fragment.appendChild(row);
+    /**
+     * Selects the rows with the passed indexes, the other rows are deselected
+     * @param {Array} indexes
+     * @returns {VList}
+     */
+    VList.prototype.setSelection = function (indexes) {
+        this._selection.clear();
+        var lastIndex = -1;
+        for (var i = 0; i < indexes.length; ++i) {
+            if (indexes[i] === Math.floor(indexes[i]) && indexes[i] >= 0 && indexes[i] < this._rowCount) {
+                this._selection.add(indexes[i]);
+                lastIndex = indexes[i];
             }
-
-            this._container.appendChild(fragment);
         }
+        // The active row is left as is when none of the passed indexes is valid
+        if (lastIndex >= 0 || !indexes.length) {
+            this._activeIndex = this._anchorIndex = lastIndex;
+        }
+        this._updateSelection();
+        return this;
     };
-    
-    VList.prototype._requestViewportClean = function () {
-        if (this._cleanViewportTimerId === null) {
-            this._cleanViewportTimerId = setTimeout(function () {
-                if (Date.now() - this._lastCleanedTime > 100) {
-                    this._cleanViewport();
-                    this._lastCleanedTime = Date.now();
-                }
-                this._cleanViewportTimerId = null;
-            }.bind(this), 300);
+
+    /**
+     * Selects the rows from first to last inclusive
+     * @param {Number} first
+     * @param {Number} last
+     * @param {Boolean} [add] keep the other selected rows
+     * @returns {VList}
+     */
+    VList.prototype.selectRange = function (first, last, add) {
+        if (!add) {
+            this._selection.clear();
         }
+        var low = Math.max(0, Math.min(first, last));
+        var high = Math.min(this._rowCount - 1, Math.max(first, last));
+        if (low <= high) {
+            this._selection.add(low, high);
+        }
+        this._anchorIndex = first;
+        this._activeIndex = last;
+        this._updateSelection();
+        return this;
     };
 
-    VList.prototype._cleanViewport = function () {
-        var nodesToClean = this._container.querySelectorAll('div[data-clean]');
-        for (var i = 0, l = nodesToClean.length; i < l; i++) {
-            this._container.removeChild(nodesToClean[i]);
-            this._jqueryCleanup(nodesToClean[i]);
+    VList.prototype.clearSelection = function () {
+        if (!this._selection.isEmpty()) {
+            this._selection.clear();
+            this._updateSelection();
         }
+        return this;
+    };
+
+    VList.prototype.isSelected = function (index) {
+        return this._selection.has(index);
     };
 
-    VList.prototype._jqueryCleanup = function (node) {
-        if (window.hasOwnProperty("jQuery")
-            && jQuery.hasOwnProperty("cleanData")
-            && jQuery.hasOwnProperty("merge")) {
-            jQuery.cleanData(jQuery.merge(node.querySelectorAll('*'), node));
+    /**
+     * Returns the indexes of the first and the last visible rows (first, last)
+     * and of the first and the last rendered rows (firstRendered, lastRendered), or -1 when there are no such rows
+     * @returns {Object}
+     */
+    VList.prototype.getVisibleRange = function () {
+        var range = {first: -1, last: -1, firstRendered: this._renderedFirst, lastRendered: this._renderedLast};
+        if (this._rowCount) {
+            var scrollTop = this._getScrollTop();
+            var tileColumns = this.tileColumns();
+            range.first = this._sizes.getIndexAt(scrollTop) * tileColumns;
+            range.last = Math.min(this._rowCount - 1, (this._sizes.getIndexAt(Math.max(scrollTop,
+                scrollTop + this._container[this._axis.clientSize] - 1)) + 1) * tileColumns - 1);
         }
-    }
+        return range;
+    };
+
+    /**
+     * Returns the state to reopen the list where it was left with setState(): the top visible row index
+     * with the scrolled distance from the row top, rather than the scroll position which changes with the row heights,
+     * and the selected rows. The state is a plain object, so it can be serialized to JSON
+     * @returns {Object} {index: Number, offset: Number, selection: Array} where selection is a list of
+     * [first, last] index pairs as returned by getSelectionRanges()
+     */
+    VList.prototype.getState = function () {
+        var anchor = this._rowCount ? this._getScrollAnchor() : {index: 0, offset: 0};
+        return {index: anchor.index, offset: anchor.offset, selection: this.getSelectionRanges()};
+    };
+
+    /**
+     * Restores the state returned by getState(): scrolls to the saved row, which is limited by the current row count,
+     * and selects the saved rows
+     * @param {Object} state
+     * @returns {VList}
+     */
+    VList.prototype.setState = function (state) {
+        if (state.selection) {
+            this._selection.clear();
+            for (var i = 0; i < state.selection.length; ++i) {
+                var first = Math.max(0, state.selection[i][0]);
+                var last = Math.min(this._rowCount - 1, state.selection[i][1]);
+                if (first <= last) {
+                    this._selection.add(first, last);
+                }
+            }
+            this._activeIndex = this._anchorIndex = -1;
+            this._updateSelection();
+        }
+
+        this._stopScrollAnimation();
+        if (this._rowCount) {
+            var index = Math.max(0, Math.min(state.index || 0, this._rowCount - 1));
+            this._restoreScrollAnchor({index: index, offset: Math.max(0, state.offset || 0)});
+        }
+        this._render();
+        this._lastRenderScrollTop = this._getScrollTop();
+        return this;
+    };
+
+    /**
+     * Releases the container: removes all the rows and the listeners, stops the timers
+     * and restores the container styles. The list can't be used after that
+     * @returns {VList}
+     */
+    VList.prototype.destroy = function () {
+        if (!this._container) {
+            return this;
+        }
+
+        this._stopScrollAnimation();
+        this._cancelPendingRows();
+        if (this._renderFrameId !== null) {
+            cancelAnimationFrame(this._renderFrameId);
+            this._renderFrameId = null;
+        }
+        if (this._cleanViewportTimerId !== null) {
+            clearTimeout(this._cleanViewportTimerId);
+            this._cleanViewportTimerId = null;
+        }
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        if (this._dataSource) {
+            this._dataSource._listener = null;
+            this._dataSource = null;
+        }
+        for (var type in this._containerHandlers) {
+            this._container.removeEventListener(type, this._containerHandlers[type]);
+        }
+        this._containerHandlers = {};
+
+        this._cleanViewport();
+        for (var index in this._renderedRows) {
+            this._removeRow(this._renderedRows[index]);
+        }
+        for (var i = 0; i < this._rowPool.length; ++i) {
+            this._removeRow(this._rowPool[i]);
+        }
+        this._renderedRows = {};
+        this._rowPool = [];
+        this._releaseGroupHeaders(0, 0);
+        for (var j = 0; j < this._headerPool.length; ++j) {
+            this._removeRow(this._headerPool[j]);
+        }
+        this._headerPool = [];
+        if (this._stickyHeader) {
+            this._removeRow(this._stickyHeader);
+            this._stickyHeader = null;
+        }
+        this._container.removeChild(this._scroller);
+        this._scroller = null;
+
+        var container = this._container;
+        var state = this._containerState;
+        container.style.overflow = state.overflow;
+        container.style.position = state.position;
+        container.classList.remove('vlist', 'vautoheight', 'vhorizontal');
+        if (!container.classList.length) {
+            container.removeAttribute('class');
+        }
+        ['role', 'tabindex'].forEach(function (name) {
+            if (state[name] === null) {
+                container.removeAttribute(name);
+            } else {
+                container.setAttribute(name, state[name]);
+            }
+        });
+        ['aria-rowcount', 'aria-activedescendant', 'aria-multiselectable', 'aria-orientation'].forEach(function (name) {
+            container.removeAttribute(name);
+        });
+
+        this._listeners = {};
+        this._container = null;
+        return this;
+    };
+
+    VList.prototype.beginUpdate = function () {
+        this._updateCounter++;
+    };
+
+    VList.prototype.endUpdate = function () {
+        if (--this._updateCounter === 0) {
+            this._render();
+        }
+    };
+
+    VList.prototype.refresh = function () {
+        this._updateVisibleRows();
+        this._updateScroller();
+        this._render();
+        return this;
+    };
+
+    /**
+     * Scrolls the list to show the row with the passed index
+     * @param {Number} index the row index
+     * @param {Object} [options]
+     * @param {String} [options.align] where to put the row: 'start', 'center', 'end' of the viewport,
+     * or 'auto' (default) to scroll as little as possible to show the whole row
+     * @param {Boolean} [options.smooth] animate the scrolling
+     * @returns {Promise} resolved with the row element once the row is rendered,
+     * or with null if the scrolling was interrupted by another one
+     */
+    VList.prototype.scrollToIndex = function (index, options) {
+        options = options || {};
+        index = Math.max(0, Math.min(index, this._rowCount - 1));
+
+        this._stopScrollAnimation();
+        if (options.smooth) {
+            return new Promise(function (resolve) {
+                this._animateScrollTop(this._getScrollTopForIndex(index, options.align), function (finished) {
+                    resolve(finished ? this._scrollToIndexNow(index, options.align) : null);
+                }.bind(this));
+            }.bind(this));
+        }
+        return Promise.resolve(this._scrollToIndexNow(index, options.align));
+    };
+
+    /**
+     * Scrolls to the row and renders it. When row heights are measured, the row position may change after rendering,
+     * so the scroll position is corrected then
+     * @param {Number} index the row index
+     * @param {String} [align]
+     * @returns {Element} the row element or null if rendering is suspended by beginUpdate()
+     * @private
+     */
+    VList.prototype._scrollToIndexNow = function (index, align) {
+        this._setScrollTop(this._getScrollTopForIndex(index, align));
+        if (!this._renderedRows[index]) {
+            this._render();
+            this._lastRenderScrollTop = this._getScrollTop();
+            if (this._autoHeight) {
+                this._setScrollTop(this._getScrollTopForIndex(index, align));
+            }
+        }
+        return this._renderedRows[index] || null;
+    };
+
+    /**
+     * Returns the scroll position in the row space to show the row aligned as requested
+     * @param {Number} index the row index
+     * @param {String} [align] 'start', 'center', 'end' or 'auto'
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getScrollTopForIndex = function (index, align) {
+        // Keep the row below the elements pinned to the viewport top
+        var insetHeight = this._getGroupHeadersHeight(index) - this._getPinnedHeight(index);
+        var rowTop = this._sizes.getOffset(this._getLine(index)) + insetHeight;
+        var rowHeight = this._sizes.getSize(this._getLine(index)) - insetHeight;
+        var viewportHeight = this._container[this._axis.clientSize];
+        var scrollTop = this._getScrollTop();
+
+        if (align === 'start') {
+            return rowTop;
+        } else if (align === 'center') {
+            return rowTop - (viewportHeight - rowHeight) / 2;
+        } else if (align === 'end') {
+            return rowTop + rowHeight - viewportHeight;
+        } else if (rowTop < scrollTop || rowHeight > viewportHeight) {
+            return rowTop;
+        } else if (rowTop + rowHeight > scrollTop + viewportHeight) {
+            return rowTop + rowHeight - viewportHeight;
+        }
+        return scrollTop;
+    };
+
+    /**
+     * Scrolls smoothly to the passed position in the row space
+     * @param {Number} scrollTop
+     * @param {Function(Boolean)} callback called with true when the position is reached,
+     * or with false when the animation was stopped
+     * @private
+     */
+    VList.prototype._animateScrollTop = function (scrollTop, callback) {
+        var from = this._getScrollTop();
+        var start = null;
+        var step = function (time) {
+            if (start === null) {
+                start = time;
+            }
+            var progress = Math.min(1, (time - start) / VList.SMOOTH_SCROLL_DURATION);
+            var eased = progress < 0.5 ? 2 * progress * progress : 1 - 2 * (1 - progress) * (1 - progress);
+            this._setScrollTop(from + (scrollTop - from) * eased);
+            if (progress < 1) {
+                this._scrollAnimationId = requestAnimationFrame(step);
+            } else {
+                this._scrollAnimationId = null;
+                this._scrollAnimationCallback = null;
+                callback(true);
+            }
+        }.bind(this);
+
+        this._scrollAnimationCallback = callback;
+        this._scrollAnimationId = requestAnimationFrame(step);
+    };
+
+    VList.prototype._stopScrollAnimation = function () {
+        if (this._scrollAnimationId !== null) {
+            cancelAnimationFrame(this._scrollAnimationId);
+            this._scrollAnimationId = null;
+            var callback = this._scrollAnimationCallback;
+            this._scrollAnimationCallback = null;
+            callback(false);
+        }
+    };
+
+    /**
+     * Gets or sets if the row heights are measured after the rows are rendered. Rows are first laid out
+     * with the height set by rowHeight(), which is used as an estimation, and are moved once measured
+     * @param {Boolean} [autoHeight]
+     * @returns {Boolean|VList}
+     */
+    VList.prototype.autoHeight = function (autoHeight) {
+        if (!arguments.length) {
+            return this._autoHeight;
+        } else {
+            this._autoHeight = !!autoHeight;
+            this._measuredHeights = {};
+            if (this._autoHeight) {
+                this._container.classList.add('vautoheight');
+            } else {
+                this._container.classList.remove('vautoheight');
+            }
+            return this.invalidateRowHeights();
+        }
+    };
+
+    /**
+     * Gets or sets the source of the row items. When set, the row count follows the data source, and the renderer
+     * receives the row item as the fourth parameter, or undefined while the item is being loaded. Rows waiting
+     * for their items have the 'vplaceholder' style
+     * @param {VList.PagedDataSource} [dataSource]
+     * @returns {VList.PagedDataSource|VList}
+     */
+    VList.prototype.dataSource = function (dataSource) {
+        if (!arguments.length) {
+            return this._dataSource;
+        } else {
+            if (this._dataSource) {
+                this._dataSource._listener = null;
+            }
+            this._dataSource = dataSource || null;
+            if (this._dataSource) {
+                this._dataSource._listener = this._onDataLoaded.bind(this);
+                return this.rowCount(this._dataSource.getRowCount());
+            }
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets if the row elements are reused. When set, the rows moved out of the rendered range are kept
+     * and handed to the renderer again for other rows, the renderer receives true as the third parameter then
+     * and should update all the row content it has set before
+     * @param {Boolean} [recycleRows]
+     * @returns {Boolean|VList}
+     */
+    VList.prototype.recycleRows = function (recycleRows) {
+        if (!arguments.length) {
+            return this._recycleRows;
+        } else {
+            // Drop all the current rows since they may be filled by the renderer expecting new rows only
+            this._dropRows();
+            this._recycleRows = !!recycleRows;
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the number of rows rendered beyond the viewport: {rows: Number} or {pixels: Number} for each side.
+     * The optional lean from 0 to 1 is the share of the overscan of both sides put ahead of the viewport
+     * while scrolling, the default 0.5 keeps it balanced. In the tile layout the rows are lines of tiles.
+     * The default overscan is the viewport size in pixels, null restores it
+     * @param {Object} [overscan] {rows: Number, lean: Number} or {pixels: Number, lean: Number}
+     * @returns {Object|VList}
+     */
+    VList.prototype.overscan = function (overscan) {
+        if (!arguments.length) {
+            return this._overscan;
+        } else {
+            this._overscan = overscan || null;
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the tile width in 'px'. When set, the rows are laid out as tiles of this width and of the row height,
+     * wrapping to the container width, so the index of the tile line is index / tileColumns().
+     * 0 switches back to the list layout. Row groups and measured row heights are not supported by the tile layout
+     * @param {Number} [tileWidth]
+     * @returns {Number|VList}
+     */
+    VList.prototype.tileWidth = function (tileWidth) {
+        if (!arguments.length) {
+            return this._tileWidth;
+        } else {
+            var anchor = this._getScrollAnchor();
+            this._dropRows();
+            this._tileWidth = tileWidth || 0;
+            this._updateRowHeights();
+            this._updateScroller();
+            this._restoreScrollAnchor(anchor);
+            this._render();
+            this._lastRenderScrollTop = this._getScrollTop();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the list orientation, 'vertical' (default) or 'horizontal'. A horizontal list scrolls
+     * along the container width and places the rows from left to right, so the row height is the row width then
+     * @param {String} [orientation]
+     * @returns {String|VList}
+     */
+    VList.prototype.orientation = function (orientation) {
+        if (!arguments.length) {
+            return this._axis === VList._Axes.horizontal ? 'horizontal' : 'vertical';
+        } else {
+            var anchor = this._getScrollAnchor();
+            this._dropRows();
+            this._scroller.style[this._axis.size] = '';
+            this._container[this._axis.scroll] = 0;
+            this._axis = VList._Axes[orientation] || VList._Axes.vertical;
+            if (this._axis === VList._Axes.horizontal) {
+                this._container.classList.add('vhorizontal');
+                this._container.setAttribute('aria-orientation', 'horizontal');
+            } else {
+                this._container.classList.remove('vhorizontal');
+                this._container.removeAttribute('aria-orientation');
+            }
+            this._measuredHeights = {};
+            this._updateRowHeights();
+            this._updateVisibleRows();
+            this._updateScroller();
+            this._restoreScrollAnchor(anchor);
+            this._render();
+            this._lastRenderScrollTop = this._getScrollTop();
+            return this;
+        }
+    };
+
+    /**
+     * Returns the number of tiles in a line, 1 in the list layout
+     * @returns {Number}
+     */
+    VList.prototype.tileColumns = function () {
+        return this._tileWidth ? this._tileColumns : 1;
+    };
+
+    /**
+     * Gets or sets the row lifecycle callbacks, an Object with any of the functions:
+     * onRowCreate(row, index) - a new or recycled row element was filled by the renderer for the first time,
+     * onRowUpdate(row, index) - the row element was filled by the renderer, including the first time,
+     * onRowRemove(row, index) - the row element was removed from the container and may be garbage collected,
+     * or was put to the pool of the recycled rows.
+     * VTree passes the node instead of the index. The default hooks are VList.jQueryAdapter
+     * @param {Object} [hooks] the callbacks, null for none
+     * @returns {Object|VList}
+     */
+    VList.prototype.rowHooks = function (hooks) {
+        if (!arguments.length) {
+            return this._rowHooks;
+        } else {
+            this._rowHooks = hooks;
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the row groups. A header row filled by the groupRenderer is shown before the first row
+     * of each group, and the header of the group of the top visible row is pinned to the top of the viewport
+     * @param {Array} [groupStarts] the first row index of each group in ascending order, null to drop the groups
+     * @returns {Array|VList}
+     */
+    VList.prototype.groups = function (groupStarts) {
+        if (!arguments.length) {
+            return this._groupStarts;
+        } else {
+            this._groupStarts = groupStarts && groupStarts.length ? groupStarts.slice() : null;
+            this._releaseGroupHeaders(0, 0);
+            this._stickyGroup = -1;
+            this._updateRowHeights();
+            this._updateScroller();
+            this._render();
+            this._updateStickyHeader();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the renderer filling the group header elements, the parameters are the group index,
+     * the header element and true if the element was used for another group before
+     * @param {Function(Number, Element, Boolean)} [groupRenderer]
+     * @returns {Function(Number, Element, Boolean)|VList}
+     */
+    VList.prototype.groupRenderer = function (groupRenderer) {
+        if (!arguments.length) {
+            return this._groupRenderer;
+        } else {
+            this._groupRenderer = groupRenderer;
+            this._stickyGroup = -1;
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the group header height in 'px', the default is the row height
+     * @param {Number} [groupHeaderHeight]
+     * @returns {Number|VList}
+     */
+    VList.prototype.groupHeaderHeight = function (groupHeaderHeight) {
+        if (!arguments.length) {
+            return this._getGroupHeaderHeight();
+        } else {
+            this._groupHeaderHeight = groupHeaderHeight;
+            this._updateRowHeights();
+            this._updateScroller();
+            this._render();
+            return this;
+        }
+    };
+
+    /**
+     * Returns the index of the group containing the row, or -1 if the row is before the first group
+     * @param {Number} index the row index
+     * @returns {Number}
+     */
+    VList.prototype.getGroupIndex = function (index) {
+        return this._getGroupCount(index) - 1;
+    };
+
+    /**
+     * Queries the row height function again for all the rows, should be called when row heights have changed.
+     * When row heights are measured, all the rows will be measured again
+     * @returns {VList}
+     */
+    VList.prototype.invalidateRowHeights = function () {
+        this._measuredHeights = {};
+        this._updateRowHeights();
+        this._updateScroller();
+        this._render();
+        return this;
+    };
+
+    /**
+     * Renders the visible rows with the overscan
+     * @param {Boolean} [incremental] true to keep the rendered rows which stay in the range as they are,
+     * otherwise all the rows are filled again
+     * @returns {VList}
+     * @private
+     */
+    VList.prototype._render = function (incremental) {
+        if (this._updateCounter === 0) {
+            var range = this._getRenderRange();
+            this._renderRange = range;
+            if (this._dataSource) {
+                this._dataSource.request(range.first, range.last);
+            }
+            this._renderViewport(range.first, range.last, !!incremental);
+            this._updateActiveDescendant();
+
+            if (this._hasListeners('render')) {
+                this._emit('render', this.getVisibleRange());
+            }
+            this._checkVisibleRange();
+        }
+        return this;
+    };
+
+    /**
+     * Returns the range of the rows to be rendered: the visible rows and the overscan, which leans
+     * in the scroll direction while rendering on scroll
+     * @returns {Object} {first: Number, last: Number} the first row index and the index after the last row
+     * @private
+     */
+    VList.prototype._getRenderRange = function () {
+        var scrollTop = this._getScrollTop();
+        var viewportSize = this._container[this._axis.clientSize];
+        var overscan = this._overscan || {pixels: this._scrollCacheSize};
+        var amount = overscan.rows !== undefined ? overscan.rows : overscan.pixels || 0;
+        var lean = this._scrollDirection && overscan.lean !== undefined ? overscan.lean : 0.5;
+        var ahead = Math.round(2 * amount * lean);
+        var after = this._scrollDirection < 0 ? 2 * amount - ahead : ahead;
+        var before = 2 * amount - after;
+
+        var firstLine;
+        var lastLine;
+        if (overscan.rows !== undefined) {
+            firstLine = Math.max(0, this._sizes.getIndexAt(scrollTop) - before);
+            lastLine = this._sizes.getIndexAt(Math.max(scrollTop, scrollTop + viewportSize - 1)) + after;
+        } else {
+            firstLine = this._sizes.getIndexAt(scrollTop - before);
+            lastLine = this._sizes.getIndexAt(Math.max(scrollTop, scrollTop + viewportSize - 1) + after);
+        }
+        var lineSize = this.tileColumns();
+        return {first: firstLine * lineSize, last: Math.min(this._rowCount, (lastLine + 1) * lineSize)};
+    };
+
+    /**
+     * Renders the rows for the scroll position once per animation frame, adding and releasing only the rows
+     * at the edges of the rendered range
+     * @private
+     */
+    VList.prototype._requestRender = function () {
+        if (this._renderFrameId === null) {
+            this._renderFrameId = requestAnimationFrame(function () {
+                this._renderFrameId = null;
+                this._renderScrolled();
+            }.bind(this));
+        }
+    };
+
+    VList.prototype._renderScrolled = function () {
+        this._updateVisibleRows(); // <= sometimes first scroll will have outdated number of visible rows
+        var scrollTop = this._getScrollTop();
+        this._scrollDirection = scrollTop > this._lastRenderScrollTop ? 1 : scrollTop < this._lastRenderScrollTop ? -1 : 0;
+        if (this._updateCounter === 0 && this._isRenderNeeded(this._getRenderRange())) {
+            this._render(true);
+            this._lastRenderScrollTop = this._getScrollTop();
+        }
+        this._scrollDirection = 0;
+    };
+
+    /**
+     * Returns true if the rows should be rendered for the passed range
+     * @param {Object} range see _getRenderRange
+     * @returns {Boolean}
+     * @private
+     */
+    VList.prototype._isRenderNeeded = function (range) {
+        return !this._renderRange || range.first !== this._renderRange.first || range.last !== this._renderRange.last;
+    };
+
+    VList.prototype._hasListeners = function (type) {
+        return !!(this._listeners[type] && this._listeners[type].length);
+    };
+
+    VList.prototype._emit = function (type, event) {
+        var listeners = this._listeners[type];
+        if (listeners) {
+            event.type = type;
+            event.target = this;
+            listeners = listeners.slice();
+            for (var i = 0; i < listeners.length; ++i) {
+                listeners[i].call(this, event);
+            }
+        }
+    };
+
+    /**
+     * Fires the 'rangechange' event if the visible or the rendered rows have changed since the last check
+     * @private
+     */
+    VList.prototype._checkVisibleRange = function () {
+        var range = VList.prototype.getVisibleRange.call(this);
+        var lastRange = this._lastRange;
+        if (!lastRange || lastRange.first !== range.first || lastRange.last !== range.last
+            || lastRange.firstRendered !== range.firstRendered || lastRange.lastRendered !== range.lastRendered) {
+            this._lastRange = range;
+            if (this._hasListeners('rangechange')) {
+                this._emit('rangechange', this.getVisibleRange());
+            }
+        }
+    };
+
+    VList.prototype._updateRowHeights = function () {
+        if (this._tileWidth) {
+            this._tileColumns = Math.max(1, Math.floor(this._container[this._axis.crossClientSize] / this._tileWidth));
+            this._sizes.reset(Math.ceil(this._rowCount / this._tileColumns), this._rowHeight);
+            return;
+        }
+        this._sizes.reset(this._rowCount, this._rowHeight, this._rowHeightProvider);
+        if (this._autoHeight) {
+            for (var index in this._measuredHeights) {
+                this._sizes.setSize(+index, this._measuredHeights[index]);
+            }
+        }
+        if (this._groupStarts) {
+            // The group headers take the space before the first rows of the groups
+            var headerHeight = this._getGroupHeaderHeight();
+            for (var g = 0; g < this._groupStarts.length && this._groupStarts[g] < this._rowCount; ++g) {
+                var start = this._groupStarts[g];
+                this._sizes.setSize(start, this._sizes.getSize(start) + headerHeight);
+            }
+        }
+    };
+
+    /**
+     * Adds the heights of the rows appended after the indexed rows, keeping the heights of the other rows,
+     * so that appending rows takes time proportional to the number of appended rows
+     * @private
+     */
+    VList.prototype._appendRowHeights = function () {
+        if (this._tileWidth) {
+            this._sizes.setCount(Math.ceil(this._rowCount / this._tileColumns));
+            return;
+        }
+        var first = this._sizes.getCount();
+        this._sizes.setCount(this._rowCount);
+        if (this._rowHeightProvider) {
+            for (var index = first; index < this._rowCount; ++index) {
+                this._sizes.setSize(index, this._rowHeightProvider(index));
+            }
+        }
+        if (this._groupStarts) {
+            var headerHeight = this._getGroupHeaderHeight();
+            for (var g = this._groupStarts.length - 1; g >= 0 && this._groupStarts[g] >= first; --g) {
+                var start = this._groupStarts[g];
+                if (start < this._rowCount) {
+                    this._sizes.setSize(start, this._sizes.getSize(start) + headerHeight);
+                }
+            }
+        }
+    };
+
+    VList.prototype._updateVisibleRows = function () {
+        this._visibleRows = Math.ceil(this._container[this._axis.offsetSize] / this._rowHeight);
+        this._scrollCacheSize = this._visibleRows * this._rowHeight;
+    };
+
+    VList.prototype._updateScroller = function () {
+        var size = this._getScrollSize();
+        this._scrollerSize = Math.min(size, VList.MAX_SCROLLER_SIZE);
+        this._scroller.style[this._axis.size] = this._scrollerSize.toString() + 'px';
+        this._container.setAttribute('aria-rowcount', this._rowCount);
+
+        if (size > this._scrollerSize) {
+            this._scrollPageSize = this._scrollerSize / 100;
+            this._scrollPageCount = Math.ceil(size / this._scrollPageSize);
+            this._scrollPageJump = (size - this._scrollerSize) / (this._scrollPageCount - 1);
+        } else {
+            this._scrollPageSize = size;
+            this._scrollPageCount = 1;
+            this._scrollPageJump = 0;
+        }
+        this._scrollPage = Math.min(this._scrollPage, this._scrollPageCount - 1);
+        this._scrollShift = Math.round(this._scrollPage * this._scrollPageJump);
+    };
+
+    /**
+     * Returns the height of the space taken by all the rows
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getScrollSize = function () {
+        return this._sizes.getTotalSize();
+    };
+
+    /**
+     * Returns the scroll position in the row space, which differs from the container scrollTop
+     * when the rows don't fit the scroller
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getScrollTop = function () {
+        return this._container[this._axis.scroll] + this._scrollShift;
+    };
+
+    /**
+     * Scrolls the container to the passed position in the row space
+     * @param {Number} scrollTop
+     * @private
+     */
+    VList.prototype._setScrollTop = function (scrollTop) {
+        var maxScrollTop = this._getScrollSize() - this._container[this._axis.clientSize];
+        scrollTop = Math.max(0, Math.min(scrollTop, maxScrollTop));
+        this._setScrollPage(Math.min(this._scrollPageCount - 1, Math.floor(scrollTop / this._scrollPageSize) || 0));
+        this._lastScrollTop = scrollTop - this._scrollShift;
+        if (this._container[this._axis.scroll] !== this._lastScrollTop) {
+            this._container[this._axis.scroll] = this._lastScrollTop;
+        }
+    };
+
+    /**
+     * Switches the current scroll page, the rendered rows are moved by the change of the page offset
+     * @param {Number} page
+     * @private
+     */
+    VList.prototype._setScrollPage = function (page) {
+        if (page !== this._scrollPage) {
+            this._scrollPage = page;
+            this._scrollShift = Math.round(page * this._scrollPageJump);
+            for (var index in this._renderedRows) {
+                this._renderedRows[index].style[this._axis.start] = this._getRowTop(+index) + 'px';
+            }
+            this._positionGroupHeaders();
+        }
+    };
+
+    /**
+     * Returns the row top position in the container
+     * @param {Number} index the row index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getRowTop = function (index) {
+        return this._sizes.getOffset(this._getLine(index)) + this._getGroupHeadersHeight(index) - this._scrollShift;
+    };
+
+    /**
+     * Returns the index of the line containing the row, which is the row index itself in the list layout
+     * @param {Number} index the row index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getLine = function (index) {
+        return this._tileWidth ? Math.floor(index / this._tileColumns) : index;
+    };
+
+    VList.prototype._onScroll = function (e) {
+        e.preventDefault();
+        this._requestViewportClean();
+        this._applyPendingRows();
+
+        var containerScrollTop = this._container[this._axis.scroll];
+        if (this._scrollPageCount > 1) {
+            var distance = Math.abs(containerScrollTop - this._lastScrollTop);
+            if (distance < this._container[this._axis.clientSize]) {
+                // Keep the rows moving along with the scroll and switch the page when crossing its border
+                this._setScrollTop(containerScrollTop + this._scrollShift);
+            } else {
+                // The scrollbar was dragged, so map the position proportionally
+                var ratio = (this._getScrollSize() - this._container[this._axis.clientSize])
+                    / (this._scrollerSize - this._container[this._axis.clientSize]);
+                this._setScrollPage(Math.min(this._scrollPageCount - 1,
+                    Math.floor(containerScrollTop * ratio / this._scrollPageSize)));
+            }
+        }
+        this._lastScrollTop = this._container[this._axis.scroll];
+        this._updateStickyHeader();
+
+        var scrollTop = this._getScrollTop();
+        this._requestRender();
+        this._checkVisibleRange();
+
+        if (this._hasListeners('scroll')) {
+            var event = this.getVisibleRange();
+            event.scrollTop = scrollTop;
+            this._emit('scroll', event);
+        }
+    };
+
+    /**
+     * Renders the rows range and releases the other rows
+     * @param {Number} index the first row index
+     * @param {Number} lastIndex the index after the last row
+     * @param {Boolean} [incremental] true to keep the rendered rows of the range as they are
+     * @returns {Array} the row elements of the range
+     * @private
+     */
+    VList.prototype._renderViewport = function (index, lastIndex, incremental) {
+        this._releaseRows(index, lastIndex, incremental);
+
+        var rows = [];
+        this._renderedFirst = this._renderedLast = -1;
+        if (this._rowCount && this._renderer && this._rowHeight) {
+            var fragment = document.createDocumentFragment();
+
+            for (var i = index; i < lastIndex; i++) {
+                rows.push(incremental && this._renderedRows[i] || this._renderRow(i, fragment));
+            }
+            if (rows.length) {
+                this._renderedFirst = index;
+                this._renderedLast = lastIndex - 1;
+            }
+
+            this._container.appendChild(fragment);
+        }
+        if (this._groupStarts) {
+            this._renderGroupHeaders(rows.length ? index : 0, rows.length ? lastIndex : 0);
+        }
+        if (this._autoHeight && !this._tileWidth && rows.length) {
+            this._measureRows(rows);
+        }
+        return rows;
+    };
+
+    /**
+     * Takes a row element for the passed row index, positions it and fills it with content
+     * @param {Number} index the row index
+     * @param {DocumentFragment} fragment a fragment to put newly created rows to
+     * @returns {Element} the row element
+     * @private
+     */
+    VList.prototype._renderRow = function (index, fragment) {
+        var recycled = true;
+        var row = this._renderedRows[index];
+        if (!row) {
+            row = this._rowPool.pop();
+            if (row) {
+                row.style.display = '';
+            } else {
+                row = this._createRow();
+                recycled = false;
+                fragment.appendChild(row);
+            }
+            this._renderedRows[index] = row;
+        }
+
+        row._rowIndex = index;
+        row.style[this._axis.start] = this._getRowTop(index) + 'px';
+        if (this._tileWidth) {
+            row.style[this._axis.crossStart] = (index % this._tileColumns) * this._tileWidth + 'px';
+            row.style[this._axis.crossSize] = this._tileWidth + 'px';
+        }
+        if (this._rowHeightProvider && !this._autoHeight) {
+            var height = this._sizes.getSize(this._getLine(index)) - this._getGroupHeadersHeight(index);
+            row.style[this._axis.size] = row.style[this._axis.maxSize] = height + 'px';
+        }
+        this._fillRow(row, index, recycled);
+        var created = !row._mounted;
+        row._mounted = true;
+        if (this._rowHooks) {
+            if (created && this._rowHooks.onRowCreate) {
+                this._rowHooks.onRowCreate(row, this._getRowKey(row));
+            }
+            if (this._rowHooks.onRowUpdate) {
+                this._rowHooks.onRowUpdate(row, this._getRowKey(row));
+            }
+        }
+        this._updateRowAria(row, index);
+        this._updateRowSelection(row);
+        if (this._hasListeners('rowrender')) {
+            this._emit('rowrender', this._createRowEvent(row, index, recycled));
+        }
+        return row;
+    };
+
+    /**
+     * Sets the selection style of the row element
+     * @param {Element} row
+     * @private
+     */
+    VList.prototype._updateRowSelection = function (row) {
+        var selected = this._isRowSelected(row);
+        if (selected) {
+            row.classList.add('vselected');
+        } else {
+            row.classList.remove('vselected');
+        }
+        if (this._selectionMode !== 'none') {
+            row.setAttribute('aria-selected', selected ? 'true' : 'false');
+        } else {
+            row.removeAttribute('aria-selected');
+        }
+    };
+
+    /**
+     * Sets the accessibility role and the row position attributes of the row element
+     * @param {Element} row the row element
+     * @param {Number} index the row index
+     * @private
+     */
+    VList.prototype._updateRowAria = function (row, index) {
+        row.id = this._idPrefix + '-' + index;
+        row.setAttribute('role', 'option');
+        row.setAttribute('aria-setsize', this._rowCount);
+        row.setAttribute('aria-posinset', index + 1);
+    };
+
+    /**
+     * Returns the rendered element of the active row, which is the last selected row
+     * @returns {Element}
+     * @private
+     */
+    VList.prototype._getActiveRow = function () {
+        return this._renderedRows[this._activeIndex] || null;
+    };
+
+    /**
+     * Points the container aria-activedescendant to the active row element, if it is rendered
+     * @private
+     */
+    VList.prototype._updateActiveDescendant = function () {
+        var row = this._getActiveRow();
+        if (row) {
+            this._container.setAttribute('aria-activedescendant', row.id);
+        } else {
+            this._container.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    /**
+     * @param {Element} row the rendered row element
+     * @returns {Boolean} true if the row rendered in the element is selected
+     * @private
+     */
+    VList.prototype._isRowSelected = function (row) {
+        return this._selection.has(row._rowIndex);
+    };
+
+    /**
+     * Updates the selection style of the rendered rows and fires the 'selectionchange' event
+     * @private
+     */
+    VList.prototype._updateSelection = function () {
+        for (var index in this._renderedRows) {
+            this._updateRowSelection(this._renderedRows[index]);
+        }
+        this._updateActiveDescendant();
+        this._emitSelectionChange();
+    };
+
+    VList.prototype._emitSelectionChange = function () {
+        if (this._hasListeners('selectionchange')) {
+            this._emit('selectionchange', {ranges: this._selection.getRanges(), activeIndex: this._activeIndex});
+        }
+    };
+
+    /**
+     * Selects the clicked row according to the selection mode and the pressed modifier keys
+     * @param {MouseEvent} e
+     * @private
+     */
+    VList.prototype._onRowClick = function (e) {
+        if (this._selectionMode === 'none') {
+            return;
+        }
+        var row = this._getEventRow(e);
+        if (!row) {
+            return;
+        }
+
+        var index = row._rowIndex;
+        var toggle = (e.ctrlKey || e.metaKey) && this._selectionMode === 'multiple';
+        var range = e.shiftKey && this._selectionMode !== 'single' && this._anchorIndex >= 0;
+        if (range) {
+            var anchorIndex = this._anchorIndex;
+            this.selectRange(anchorIndex, index, toggle);
+        } else if (toggle) {
+            if (this._selection.has(index)) {
+                this._selection.remove(index);
+            } else {
+                this._selection.add(index);
+            }
+            this._anchorIndex = this._activeIndex = index;
+            this._updateSelection();
+        } else {
+            this.selectRange(index, index);
+        }
+    };
+
+    /**
+     * Moves the active row by the arrow and the paging keys selecting it, Shift extends the selection from the anchor.
+     * In the tile layout Up and Down move by a line of tiles and Left and Right move by a tile,
+     * and the other way round in the horizontal orientation
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    VList.prototype._onKeyDown = function (e) {
+        if (this._selectionMode === 'none' || !this._rowCount || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        var key = e.key;
+        if (this._axis === VList._Axes.horizontal) {
+            // The lines go from left to right
+            key = {ArrowLeft: 'ArrowUp', ArrowRight: 'ArrowDown', ArrowUp: 'ArrowLeft', ArrowDown: 'ArrowRight'}[key] || key;
+        }
+        var lineSize = this.tileColumns();
+        var pageSize = Math.max(1, Math.floor(this._container[this._axis.clientSize] / this._rowHeight)) * lineSize;
+        var current = this._activeIndex >= 0 ? this._activeIndex : this.getVisibleRange().first;
+        var index;
+        switch (key) {
+            case 'ArrowUp':
+                index = current >= lineSize ? current - lineSize : current;
+                break;
+            case 'ArrowDown':
+                index = this._getLine(current) < this._getLine(this._rowCount - 1) ? current + lineSize : current;
+                break;
+            case 'ArrowLeft':
+                index = this._tileWidth ? current - 1 : undefined;
+                break;
+            case 'ArrowRight':
+                index = this._tileWidth ? current + 1 : undefined;
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = this._rowCount - 1;
+                break;
+            case 'PageUp':
+                index = current - pageSize;
+                break;
+            case 'PageDown':
+                index = current + pageSize;
+                break;
+        }
+        if (index === undefined) {
+            return;
+        } else if (this._activeIndex < 0 && key.indexOf('Arrow') === 0) {
+            // The first arrow key press activates the top visible row
+            index = current;
+        }
+
+        e.preventDefault();
+        index = Math.max(0, Math.min(index, this._rowCount - 1));
+        if (e.shiftKey && this._selectionMode !== 'single' && this._anchorIndex >= 0) {
+            this.selectRange(this._anchorIndex, index);
+        } else {
+            this.selectRange(index, index);
+        }
+        this.scrollToIndex(index);
+    };
+
+    /**
+     * Returns the row element in which the event has occurred
+     * @param {Event} e
+     * @returns {Element}
+     * @private
+     */
+    VList.prototype._getEventRow = function (e) {
+        for (var elem = e.target; elem && elem !== this._container; elem = elem.parentNode) {
+            if (elem.parentNode === this._container) {
+                return elem._rowIndex !== undefined ? elem : null;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Creates the 'rowrender' event
+     * @param {Element} row the row element
+     * @param {Number} index the row index
+     * @param {Boolean} recycled true, if the row element was used for another row before
+     * @returns {Object}
+     * @private
+     */
+    VList.prototype._createRowEvent = function (row, index, recycled) {
+        return {index: index, row: row, recycled: recycled};
+    };
+
+    /**
+     * Creates a new row element
+     * @returns {Element}
+     * @private
+     */
+    VList.prototype._createRow = function () {
+        var row = document.createElement('div');
+        row.classList.add('vrow');
+        return row;
+    };
+
+    /**
+     * Fills the row element with content
+     * @param {Element} row the row element
+     * @param {Number} index the row index
+     * @param {Boolean} recycled true, if the row element was already used for some row
+     * @private
+     */
+    VList.prototype._fillRow = function (row, index, recycled) {
+        if (this._dataSource) {
+            var item = this._dataSource.getItem(index);
+            if (item === undefined) {
+                row.classList.add('vplaceholder');
+            } else {
+                row.classList.remove('vplaceholder');
+            }
+            this._renderer(index, row, recycled, item);
+        } else {
+            this._renderer(index, row, recycled);
+        }
+    };
+
+    /**
+     * Hides the rendered rows before rendering the passed rows range. When rows are recycled,
+     * only the rows outside of the range are hidden and put to the pool, otherwise all the rows
+     * are hidden and marked for the removal, except for the rows of the range if they are kept
+     * @param {Number} index the first row index to be rendered
+     * @param {Number} lastIndex the index after the last row to be rendered
+     * @param {Boolean} [keepRendered] true to keep the rendered rows of the range
+     * @private
+     */
+    VList.prototype._releaseRows = function (index, lastIndex, keepRendered) {
+        if (this._recycleRows) {
+            for (var key in this._renderedRows) {
+                var i = +key;
+                if (i < index || i >= lastIndex) {
+                    this._poolRow(this._renderedRows[key]);
+                    delete this._renderedRows[key];
+                }
+            }
+        } else {
+            var keptRows = {};
+            if (keepRendered) {
+                for (var rowIndex in this._renderedRows) {
+                    if (+rowIndex >= index && +rowIndex < lastIndex) {
+                        keptRows[rowIndex] = this._renderedRows[rowIndex];
+                    }
+                }
+            }
+            for (var j = 1, l = this._container.childNodes.length; j < l; j++) {
+                var child = this._container.childNodes[j];
+                if (!child.classList.contains('vgroupheader') && keptRows[child._rowIndex] !== child) {
+                    child.style.display = 'none';
+                    child.setAttribute('data-clean', '');
+                }
+            }
+            this._renderedRows = keptRows;
+        }
+    };
+
+    /**
+     * Returns the number of groups starting at or before the row
+     * @param {Number} index the row index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getGroupCount = function (index) {
+        var starts = this._groupStarts;
+        if (!starts || this._tileWidth) {
+            return 0;
+        }
+        var low = 0;
+        var high = starts.length;
+        while (low < high) {
+            var middle = (low + high) >> 1;
+            if (starts[middle] <= index) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    };
+
+    VList.prototype._getGroupHeaderHeight = function () {
+        return this._groupHeaderHeight || this._rowHeight;
+    };
+
+    /**
+     * Returns the height of the headers shown before the row, more than one header for empty groups
+     * @param {Number} index the row index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getGroupHeadersHeight = function (index) {
+        if (!this._groupStarts || index >= this._rowCount) {
+            return 0;
+        }
+        return (this._getGroupCount(index) - this._getGroupCount(index - 1)) * this._getGroupHeaderHeight();
+    };
+
+    /**
+     * Returns the height of the viewport top covered by the elements pinned over the row when it's scrolled there
+     * @param {Number} index the row index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getPinnedHeight = function (index) {
+        return this.getGroupIndex(index) >= 0 ? this._getGroupHeaderHeight() : 0;
+    };
+
+    /**
+     * Returns the group header top position in the row space
+     * @param {Number} group the group index
+     * @returns {Number}
+     * @private
+     */
+    VList.prototype._getGroupHeaderTop = function (group) {
+        var start = this._groupStarts[group];
+        return this._sizes.getOffset(start) + (group - this._getGroupCount(start - 1)) * this._getGroupHeaderHeight();
+    };
+
+    /**
+     * Renders the headers of the groups starting in the rendered rows range
+     * @param {Number} index the first rendered row index
+     * @param {Number} lastIndex the index after the last rendered row
+     * @private
+     */
+    VList.prototype._renderGroupHeaders = function (index, lastIndex) {
+        var first = this._getGroupCount(index - 1);
+        var last = this._groupRenderer ? this._getGroupCount(lastIndex - 1) : first;
+        this._releaseGroupHeaders(first, last);
+
+        var fragment = document.createDocumentFragment();
+        for (var g = first; g < last; ++g) {
+            var recycled = true;
+            var header = this._renderedHeaders[g];
+            if (!header) {
+                header = this._headerPool.pop();
+                if (header) {
+                    header.style.display = '';
+                } else {
+                    header = this._createGroupHeader();
+                    recycled = false;
+                    fragment.appendChild(header);
+                }
+                this._renderedHeaders[g] = header;
+            }
+            header.style[this._axis.size] = this._getGroupHeaderHeight() + 'px';
+            this._groupRenderer(g, header, recycled);
+        }
+        this._container.appendChild(fragment);
+        this._positionGroupHeaders();
+    };
+
+    VList.prototype._createGroupHeader = function () {
+        var header = document.createElement('div');
+        header.classList.add('vgroupheader');
+        header.setAttribute('role', 'presentation');
+        return header;
+    };
+
+    /**
+     * Hides the rendered group headers outside of the passed groups range and puts them to the pool
+     * @param {Number} group the first group index to be rendered
+     * @param {Number} lastGroup the index after the last group to be rendered
+     * @private
+     */
+    VList.prototype._releaseGroupHeaders = function (group, lastGroup) {
+        for (var key in this._renderedHeaders) {
+            var g = +key;
+            if (g < group || g >= lastGroup) {
+                this._renderedHeaders[key].style.display = 'none';
+                this._headerPool.push(this._renderedHeaders[key]);
+                delete this._renderedHeaders[key];
+            }
+        }
+    };
+
+    /**
+     * Moves the rendered group headers to the offsets of their groups and updates the sticky header
+     * @private
+     */
+    VList.prototype._positionGroupHeaders = function () {
+        for (var key in this._renderedHeaders) {
+            this._renderedHeaders[key].style[this._axis.start] = (this._getGroupHeaderTop(+key) - this._scrollShift) + 'px';
+        }
+        this._updateStickyHeader();
+    };
+
+    /**
+     * Pins the header of the group of the top visible row to the viewport top.
+     * The header of the next group pushes it out when reaching the viewport top
+     * @private
+     */
+    VList.prototype._updateStickyHeader = function () {
+        var scrollTop = this._getScrollTop();
+        var group = this._rowCount && this._groupRenderer && this._updateCounter === 0
+            ? this.getGroupIndex(this._sizes.getIndexAt(scrollTop)) : -1;
+        if (group < 0) {
+            if (this._stickyHeader) {
+                this._stickyHeader.style.display = 'none';
+            }
+            return;
+        }
+
+        var headerHeight = this._getGroupHeaderHeight();
+        if (!this._stickyHeader) {
+            this._stickyHeader = this._createGroupHeader();
+            this._stickyHeader.classList.add('vsticky');
+            this._stickyHeader.setAttribute('aria-hidden', 'true');
+            this._container.appendChild(this._stickyHeader);
+        }
+        this._stickyHeader.style[this._axis.size] = headerHeight + 'px';
+        if (group !== this._stickyGroup) {
+            this._groupRenderer(group, this._stickyHeader, this._stickyGroup !== -1);
+            this._stickyGroup = group;
+        }
+
+        var top = scrollTop;
+        var next = group + 1;
+        if (next < this._groupStarts.length && this._groupStarts[next] < this._rowCount) {
+            top = Math.min(top, this._getGroupHeaderTop(next) - headerHeight);
+        }
+        this._stickyHeader.style[this._axis.start] = (top - this._scrollShift) + 'px';
+        this._stickyHeader.style.display = '';
+    };
+
+    /**
+     * Updates the rendered rows whose items were loaded or reset. When rows are recycled, the rendered rows are
+     * filled again as recycled rows, otherwise they are replaced by new rows
+     * @param {Number} index the first changed item index
+     * @param {Number} lastIndex the index after the last changed item
+     * @private
+     */
+    VList.prototype._onDataLoaded = function (index, lastIndex) {
+        var rowCount = this._dataSource.getRowCount();
+        if (rowCount !== this._rowCount) {
+            this.rowCount(rowCount);
+        } else if (this._updateCounter === 0) {
+            var rows = [];
+            var fragment = document.createDocumentFragment();
+            for (var key in this._renderedRows) {
+                var i = +key;
+                if (i >= index && i < lastIndex) {
+                    delete this._measuredHeights[i];
+                    if (!this._recycleRows) {
+                        this._renderedRows[key].style.display = 'none';
+                        this._renderedRows[key].setAttribute('data-clean', '');
+                        delete this._renderedRows[key];
+                    }
+                    rows.push(this._renderRow(i, fragment));
+                }
+            }
+            this._container.appendChild(fragment);
+            if (!this._recycleRows && rows.length) {
+                this._requestViewportClean();
+            }
+            if (this._autoHeight && rows.length) {
+                this._measureRows(rows);
+            }
+        }
+    };
+
+    /**
+     * Reads the heights of the rendered rows which were not measured yet, moves the rows below the changed ones
+     * and keeps the top visible row at its place
+     * @param {Array} rows rendered row elements
+     * @private
+     */
+    VList.prototype._measureRows = function (rows) {
+        var scrollTop = this._getScrollTop();
+        var anchor = this._getScrollAnchor();
+        var changed = false;
+
+        for (var i = 0; i < rows.length; ++i) {
+            var index = rows[i]._rowIndex;
+            if (!this._measuredHeights.hasOwnProperty(index)) {
+                var height = rows[i][this._axis.offsetSize];
+                if (height) {
+                    this._measuredHeights[index] = height;
+                    height += this._getGroupHeadersHeight(index);
+                    if (height !== this._sizes.getSize(index)) {
+                        this._sizes.setSize(index, height);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        if (changed) {
+            for (var i = 0; i < rows.length; ++i) {
+                rows[i].style[this._axis.start] = this._getRowTop(rows[i]._rowIndex) + 'px';
+            }
+            this._updateScroller();
+            this._restoreScrollAnchor(anchor);
+            this._positionGroupHeaders();
+            this._lastRenderScrollTop += this._getScrollTop() - scrollTop;
+        }
+    };
+
+    VList.prototype._requestPendingRows = function () {
+        if (this._pendingRowsId === null) {
+            this._pendingRowsId = requestAnimationFrame(function () {
+                this._pendingRowsId = null;
+                this._applyPendingRows();
+            }.bind(this));
+        }
+    };
+
+    VList.prototype._cancelPendingRows = function () {
+        if (this._pendingRowsId !== null) {
+            cancelAnimationFrame(this._pendingRowsId);
+            this._pendingRowsId = null;
+        }
+        this._pendingAppend = this._pendingPrepend = 0;
+    };
+
+    /**
+     * Applies the rows added by appendRows() and prependRows() keeping the visible rows or the bottom in place
+     * @private
+     */
+    VList.prototype._applyPendingRows = function () {
+        var prepended = this._pendingPrepend;
+        var appended = this._pendingAppend;
+        if (!prepended && !appended) {
+            return;
+        }
+        var follow = this._followTail && this._isAtTail();
+        var anchor = this._getScrollAnchor();
+        this._cancelPendingRows();
+
+        if (prepended) {
+            anchor.index += prepended;
+            this._selection.insert(0, prepended);
+            this._activeIndex = this._activeIndex >= 0 ? this._activeIndex + prepended : -1;
+            this._anchorIndex = this._anchorIndex >= 0 ? this._anchorIndex + prepended : -1;
+            var measuredHeights = {};
+            for (var index in this._measuredHeights) {
+                measuredHeights[+index + prepended] = this._measuredHeights[index];
+            }
+            this._measuredHeights = measuredHeights;
+            if (this._groupStarts) {
+                this._groupStarts = this._groupStarts.map(function (start) {
+                    return start + prepended;
+                });
+            }
+        }
+
+        this._rowCount += prepended + appended;
+        if (prepended) {
+            this._updateRowHeights();
+        } else {
+            this._appendRowHeights();
+        }
+        var scrollShift = this._scrollShift;
+        this._updateScroller();
+
+        // Appending moves no rendered row unless the scroll pages have changed, so only the new rows are rendered
+        var incremental = !prepended && this._scrollShift === scrollShift;
+        if (incremental) {
+            for (var rowIndex in this._renderedRows) {
+                this._updateRowAria(this._renderedRows[rowIndex], +rowIndex);
+            }
+        }
+        if (follow) {
+            this._scrollToTail(incremental);
+        } else {
+            this._restoreScrollAnchor(anchor);
+            this._render(incremental);
+            this._lastRenderScrollTop = this._getScrollTop();
+        }
+        if (prepended && !this._selection.isEmpty()) {
+            this._emitSelectionChange();
+        }
+    };
+
+    /**
+     * Returns true if the list is scrolled to the bottom
+     * @returns {Boolean}
+     * @private
+     */
+    VList.prototype._isAtTail = function () {
+        return this._getScrollTop() + this._container[this._axis.clientSize] >= this._getScrollSize() - 1;
+    };
+
+    /**
+     * Scrolls to the bottom and renders the rows. Measuring the rendered rows may change their heights,
+     * so the scroll position is corrected then
+     * @param {Boolean} [incremental] keep the rendered rows, see _render()
+     * @private
+     */
+    VList.prototype._scrollToTail = function (incremental) {
+        this._setScrollTop(this._getScrollSize());
+        this._render(incremental);
+        if (this._autoHeight) {
+            this._setScrollTop(this._getScrollSize());
+        }
+        this._lastRenderScrollTop = this._getScrollTop();
+    };
+
+    /**
+     * Returns the top visible row index and the scrolled distance from the row top
+     * @returns {Object} {index: Number, offset: Number}
+     * @private
+     */
+    VList.prototype._getScrollAnchor = function () {
+        var scrollTop = this._getScrollTop();
+        var line = this._sizes.getIndexAt(scrollTop);
+        return {index: line * this.tileColumns(), offset: scrollTop - this._sizes.getOffset(line)};
+    };
+
+    /**
+     * Scrolls to keep the row returned by _getScrollAnchor at the same place after the row offsets have changed
+     * @param {Object} anchor
+     * @private
+     */
+    VList.prototype._restoreScrollAnchor = function (anchor) {
+        var line = this._getLine(anchor.index);
+        this._setScrollTop(this._sizes.getOffset(line) + Math.min(anchor.offset, this._sizes.getSize(line)));
+    };
+
+    /**
+     * Re-layouts the list when the container size has changed
+     * @private
+     */
+    VList.prototype._onResize = function () {
+        var width = this._container.clientWidth;
+        var height = this._container.clientHeight;
+        if (width !== this._viewportWidth || height !== this._viewportHeight) {
+            var crossSizeChanged = this._axis === VList._Axes.horizontal
+                ? height !== this._viewportHeight : width !== this._viewportWidth;
+            this._viewportWidth = width;
+            this._viewportHeight = height;
+            this._relayout(crossSizeChanged);
+        }
+    };
+
+    /**
+     * Recomputes the number of visible rows and the scroller, and renders the rows keeping the top visible row in place
+     * @param {Boolean} crossSizeChanged true, if the container size across the scrolling axis has changed,
+     * so the measured row heights are not valid anymore
+     * @private
+     */
+    VList.prototype._relayout = function (crossSizeChanged) {
+        var anchor = this._getScrollAnchor();
+        if (crossSizeChanged && (this._autoHeight || this._tileWidth)) {
+            this._measuredHeights = {};
+            this._updateRowHeights();
+        }
+        this._updateVisibleRows();
+        this._updateScroller();
+        this._restoreScrollAnchor(anchor);
+        this._render();
+        this._lastRenderScrollTop = this._getScrollTop();
+    };
+    
+    /**
+     * Hides all the row elements and marks them for the removal, the pool is emptied
+     * @private
+     */
+    VList.prototype._dropRows = function () {
+        var recycleRows = this._recycleRows;
+        this._recycleRows = false;
+        this._releaseRows(0, 0);
+        this._recycleRows = recycleRows;
+        this._rowPool = [];
+        this._requestViewportClean();
+    };
+
+    VList.prototype._requestViewportClean = function () {
+        if (this._cleanViewportTimerId === null) {
+            this._cleanViewportTimerId = setTimeout(function () {
+                if (Date.now() - this._lastCleanedTime > 100) {
+                    this._cleanViewport();
+                    this._lastCleanedTime = Date.now();
+                }
+                this._cleanViewportTimerId = null;
+            }.bind(this), 300);
+        }
+    };
+
+    VList.prototype._cleanViewport = function () {
+        var nodesToClean = this._container.querySelectorAll('div[data-clean]');
+        for (var i = 0, l = nodesToClean.length; i < l; i++) {
+            this._removeRow(nodesToClean[i]);
+        }
+    };
+
+    /**
+     * Removes the element from the container, calls the onRowRemove hook for the row elements
+     * @param {Element} row
+     * @private
+     */
+    VList.prototype._removeRow = function (row) {
+        this._container.removeChild(row);
+        this._unmountRow(row);
+    };
+
+    /**
+     * Hides the row element and puts it to the pool of the rows to be recycled
+     * @param {Element} row
+     * @private
+     */
+    VList.prototype._poolRow = function (row) {
+        row.style.display = 'none';
+        this._unmountRow(row);
+        this._rowPool.push(row);
+    };
+
+    /**
+     * Calls the onRowRemove hook for a row element filled since it was created or last unmounted,
+     * so that the content mounted by onRowCreate is released before the row is dropped, pooled or cleared
+     * @param {Element} row
+     * @private
+     */
+    VList.prototype._unmountRow = function (row) {
+        if (row._mounted) {
+            row._mounted = false;
+            if (this._rowHooks && this._rowHooks.onRowRemove) {
+                this._rowHooks.onRowRemove(row, this._getRowKey(row));
+            }
+        }
+    };
+
+    /**
+     * Returns what the row element shows to be passed to the row hooks
+     * @param {Element} row
+     * @returns {Number} the row index
+     * @private
+     */
+    VList.prototype._getRowKey = function (row) {
+        return row._rowIndex;
+    };
+
+    /**
+     * Adds a container event listener bound to the list, to be removed by destroy()
+     * @param {String} type the event type
+     * @param {Function(Event)} handler
+     * @private
+     */
+    VList.prototype._addContainerListener = function (type, handler) {
+        this._containerHandlers[type] = handler.bind(this);
+        this._container.addEventListener(type, this._containerHandlers[type]);
+    };
 
     _.VList = VList;
 })(this);
@@ -56,10 +56,92 @@
      */
     TreeNode.prototype.expanded = false;
 
+    /**
+     * Indicates that the current TreeNode has children which are not loaded yet. The children are loaded
+     * by the VTree child loader when the node is expanded, and the flag is reset then
+     * @type {Boolean}
+     */
+    TreeNode.prototype.lazy = false;
+
+    /**
+     * The number of children of the current TreeNode, maintained by the VTree
+     * @type {Number}
+     * @private
+     */
+    TreeNode.prototype._childCount = 0;
+
+    /**
+     * The number of nodes in the current TreeNode sub-tree, the node itself is not counted. Maintained by the VTree
+     * @type {Number}
+     * @private
+     */
+    TreeNode.prototype._descendantCount = 0;
+
+    /**
+     * The number of rows shown for the current TreeNode sub-tree when the node is expanded, the node row is not counted.
+     * Maintained by the VTree
+     * @type {Number}
+     * @private
+     */
+    TreeNode.prototype._expandedRowCount = 0;
+
+    /**
+     * The expanded state counted in the _expandedRowCount of the parents
+     * @type {Boolean}
+     * @private
+     */
+    TreeNode.prototype._countedExpanded = false;
+
+    /**
+     * The index of the children of the current TreeNode by their counts, built by the VTree when needed
+     * @type {VTree.ChildIndex}
+     * @private
+     */
+    TreeNode.prototype._childIndex = null;
+
+    /**
+     * The position of the current TreeNode among the children of its parent, valid while the parent has
+     * the child index
+     * @type {Number}
+     * @private
+     */
+    TreeNode.prototype._childPos = 0;
+
+    /**
+     * The node of the row showing that the children of the current TreeNode are being loaded or failed to load.
+     * It is not a child, its row follows the rows of the children
+     * @type {VTree.StatusNode}
+     * @private
+     */
+    TreeNode.prototype._statusNode = null;
+
+    /**
+     * Indicates if the current TreeNode is selected in the VTree
+     * @type {Boolean}
+     * @private
+     */
+    TreeNode.prototype._selected = false;
+
+    /**
+     * Indicates if the current TreeNode matches the VTree filter
+     * @type {Boolean}
+     * @private
+     */
+    TreeNode.prototype._matched = false;
+
+    /**
+     * Indicates if the current TreeNode is hidden by the VTree filter, since neither the node
+     * nor its descendants match it
+     * @type {Boolean}
+     * @private
+     */
+    TreeNode.prototype._filteredOut = false;
+
     /**
      * Accept a visitor on this TreeNode's children
      * @param {Function} visitor
-     * @param {Boolean} visibleOnly - indicates if only the painted children should be visited
+     * @param {Boolean} visibleOnly - indicates if only the painted children should be visited,
+     * the children hidden by the VTree filter are skipped too
      * @param {Boolean} reverse - walk through children in reverse order
      * @param {Boolean} any - if true, all the children will be processed,
      * and if the result of one child is true, the overall result will be true;
@@ -73,6 +155,9 @@
             var childRes;
             if (reverse) {
                 for (var child = this.lastChild; child != null; child = child.previous) {
+                    if (visibleOnly && child._filteredOut) {
+                        continue;
+                    }
                     childRes = child.accept(visitor, visibleOnly, reverse, any);
                     if (childRes === false && !any) {
                         return false;
@@ -82,6 +167,9 @@
                 }
             } else {
                 for (var child = this.firstChild; child != null; child = child.next) {
+                    if (visibleOnly && child._filteredOut) {
+                        continue;
+                    }
                     childRes = child.accept(visitor, visibleOnly, reverse, any);
                     if (childRes === false && !any) {
                         return false;
@@ -168,6 +256,14 @@
         return i;
     };
 
+    /**
+     * Returns the node text used to find the node by typing its first letters
+     * @returns {String}
+     */
+    TreeNode.prototype.getLabel = function () {
+        return '';
+    };
+
     TreeNode.prototype.toString = function () {
         return "[TreeNode]";
     };
@@ -179,13 +275,19 @@
     TreeNodeNamed.prototype = Object.create(TreeNode.prototype);
     TreeNodeNamed.prototype.id = null;
 
+    /** override */
+    TreeNodeNamed.prototype.getLabel = function () {
+        return this.id !== null ? String(this.id) : '';
+    };
+
     // -----------------------------------------------------------------------------------------------------------------
     // VTree Class
     // -----------------------------------------------------------------------------------------------------------------
     /**
      * Base Virtual Tree Class
      * @param {Element} [container] a HTML container for displaying the tree
-     * @param {Function(TreeNode, Element)} [renderer] renderer to fill the tree node visible element with content
+     * @param {Function(TreeNode, Element, Boolean)} [renderer] renderer to fill the tree node visible element with content.
+     * The third parameter is true if the element was used for another node before (see VList.recycleRows)
      * @param {String} [nodeStyle] a tree node visible element CSS style name. If not passed, the default style name is used.
      * @param {Function(Element)} [expandRenderer] renderer for the 'expand' span element
      * @param {String} [expandStyle] the 'expand' span element CSS style name. If not passed, the default style name is used.
@@ -219,11 +321,18 @@
                    putLastChildWhenInside) {
         // Note: initialization order is important here
         this._root = new TreeNode();
-        this._root.expanded = true;
+        this._root.expanded = this._root._countedExpanded = true;
         this._root.parent = this;
 
+        this._selectedNodes = new Set();
+        this._filterExpanded = new Set();
+
         VList.call(this, container, renderer, 0, 0);
 
+        if (this._containerState.role === null) {
+            this._container.setAttribute('role', 'tree');
+        }
+
         this._container.classList.add('vtree');
 
         this._rowStyle = nodeStyle ? nodeStyle : VTree.DEFAULT_ROW_STYLE;
@@ -269,6 +378,10 @@
         this._putLastChildWhenInside = !!putLastChildWhenInside;
 
         this._aScroll = new AutoScroll(this._container, 200, 10, null, 7);
+
+        if (this._containerState.tabindex === null) {
+            this._container.tabIndex = 0;
+        }
     }
 
     /**
@@ -314,6 +427,36 @@
      */
     VTree.DEFAULT_DOWN_SEPARATOR_SPAN1_STYLE = 'down-separator-span1';
 
+    /**
+     * The default style name of the focused node visible div element
+     * @type {String}
+     */
+    VTree.DEFAULT_FOCUSED_STYLE = 'vfocused';
+
+    /**
+     * The default style name of the row showing that the node children are being loaded or failed to load
+     * @type {String}
+     */
+    VTree.DEFAULT_STATUS_STYLE = 'vstatus';
+
+    /**
+     * The default style name added to the status row when the node children failed to load
+     * @type {String}
+     */
+    VTree.DEFAULT_ERROR_STYLE = 'verror';
+
+    /**
+     * The default style name of the rows of the nodes matching the filter
+     * @type {String}
+     */
+    VTree.DEFAULT_MATCH_STYLE = 'vmatch';
+
+    /**
+     * The time in milliseconds after which the typed letters are forgotten when searching a node by its label
+     * @type {Number}
+     */
+    VTree.TYPE_AHEAD_TIMEOUT = 500;
+
     /**
      * The collapse visible children of the current node snap element identifier
      * @type {String}
@@ -332,6 +475,12 @@
      */
     VTree.ROW_ID = "rowId";
 
+    /**
+     * The 'retry loading the children' element identifier of the status row
+     * @type {String}
+     */
+    VTree.RETRY_ID = "rtryId";
+
     /**
      * The default 'insert below the current node' div element identifier
      * @type {String}
@@ -402,6 +551,187 @@
         return this._curNode;
     };
 
+    // -----------------------------------------------------------------------------------------------------------------
+    // VTree.ChildIndex auxiliary Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * Indexes the children of a node by the numbers of rows and of nodes taken by their sub-trees, so that the child
+     * containing an index and the span of the previous children are found in logarithmic time.
+     * The index is kept up to date when a child is appended, removed or its counts change; the VTree drops it when
+     * a child is inserted before another one, and builds it again on the next lookup
+     * @param {VTree} vtree
+     * @param {TreeNode} parent
+     * @constructor
+     */
+    VTree.ChildIndex = function (vtree, parent) {
+        this._children = [];
+        for (var child = parent.firstChild; child != null; child = child.next) {
+            child._childPos = this._children.length;
+            this._children.push(child);
+        }
+        var children = this._children;
+        this._rows = new VList.SizeIndex();
+        this._rows.reset(children.length, 0, function (i) {
+            return vtree._getRowSpan(children[i]);
+        });
+        this._nodes = new VList.SizeIndex();
+        this._nodes.reset(children.length, 0, function (i) {
+            return 1 + children[i]._descendantCount;
+        });
+        this._positions = new VList.SizeIndex();
+        this._positions.reset(children.length, 1, vtree._filter && function (i) {
+            return children[i]._filteredOut ? 0 : 1;
+        });
+    };
+
+    /**
+     * The children in their order
+     * @type {Array}
+     * @private
+     */
+    VTree.ChildIndex.prototype._children = null;
+
+    /**
+     * The numbers of rows taken by the children
+     * @type {VList.SizeIndex}
+     * @private
+     */
+    VTree.ChildIndex.prototype._rows = null;
+
+    /**
+     * The numbers of nodes taken by the children
+     * @type {VList.SizeIndex}
+     * @private
+     */
+    VTree.ChildIndex.prototype._nodes = null;
+
+    /**
+     * One for each child and zero for each empty place or child hidden by the filter, to get the positions
+     * of the shown children
+     * @type {VList.SizeIndex}
+     * @private
+     */
+    VTree.ChildIndex.prototype._positions = null;
+
+    /**
+     * The number of the removed children, whose places are left empty
+     * @type {Number}
+     * @private
+     */
+    VTree.ChildIndex.prototype._removedCount = 0;
+
+    /**
+     * Adds the child appended after the last indexed child
+     * @param {VTree} vtree
+     * @param {TreeNode} child
+     */
+    VTree.ChildIndex.prototype.append = function (vtree, child) {
+        child._childPos = this._children.length;
+        this._children.push(child);
+        this._rows.setCount(this._children.length);
+        this._nodes.setCount(this._children.length);
+        this._positions.setCount(this._children.length);
+        this.update(vtree, child);
+    };
+
+    /**
+     * Removes the child leaving its place empty, so that the positions of the other children don't change
+     * @param {TreeNode} child
+     * @returns {Boolean} false if too many places are empty and the index should be built again
+     */
+    VTree.ChildIndex.prototype.remove = function (child) {
+        this._children[child._childPos] = null;
+        this._rows.setSize(child._childPos, 0);
+        this._nodes.setSize(child._childPos, 0);
+        this._positions.setSize(child._childPos, 0);
+        ++this._removedCount;
+        return 2 * this._removedCount <= this._children.length;
+    };
+
+    /**
+     * Takes the changed counts of the child
+     * @param {VTree} vtree
+     * @param {TreeNode} child
+     */
+    VTree.ChildIndex.prototype.update = function (vtree, child) {
+        this._rows.setSize(child._childPos, vtree._getRowSpan(child));
+        this._nodes.setSize(child._childPos, 1 + child._descendantCount);
+        this._positions.setSize(child._childPos, child._filteredOut ? 0 : 1);
+    };
+
+    /**
+     * Returns the child whose sub-tree contains the passed 0-based row or node offset
+     * @param {Number} offset the offset from the first child
+     * @param {Boolean} visibleOnly true for a row offset, false for a node offset
+     * @returns {TreeNode}
+     */
+    VTree.ChildIndex.prototype.getChildAt = function (offset, visibleOnly) {
+        return this._children[(visibleOnly ? this._rows : this._nodes).getIndexAt(offset)];
+    };
+
+    /**
+     * Returns the number of rows, or of nodes if not visibleOnly, taken by the children before the passed one
+     * @param {TreeNode} child
+     * @param {Boolean} visibleOnly
+     * @returns {Number}
+     */
+    VTree.ChildIndex.prototype.getOffset = function (child, visibleOnly) {
+        return (visibleOnly ? this._rows : this._nodes).getOffset(child._childPos);
+    };
+
+    /**
+     * @param {TreeNode} child
+     * @returns {Number} the 0-based position of the child among the children shown by the filter
+     */
+    VTree.ChildIndex.prototype.getPosition = function (child) {
+        return this._positions.getOffset(child._childPos);
+    };
+
+    /**
+     * @returns {Number} the number of the children shown by the filter
+     */
+    VTree.ChildIndex.prototype.getShownCount = function () {
+        return this._positions.getTotalSize();
+    };
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // VTree.StatusNode auxiliary Class
+    // -----------------------------------------------------------------------------------------------------------------
+    /**
+     * The node of the last row under a lazy node, shown while the node children are loaded by the child loader,
+     * or when the loading failed. It refers to the lazy node as its parent, but it is not a child of it: the tree
+     * traversals and the child counts do not see it, only the row lookups of the shown rows do
+     * @param {String} status VTree.StatusNode.LOADING or VTree.StatusNode.ERROR
+     * @constructor
+     */
+    VTree.StatusNode = function (status) {
+        this.status = status;
+    };
+
+    VTree.StatusNode.prototype = Object.create(TreeNode.prototype);
+
+    VTree.StatusNode.LOADING = 'loading';
+    VTree.StatusNode.ERROR = 'error';
+
+    /**
+     * VTree.StatusNode.LOADING or VTree.StatusNode.ERROR
+     * @type {String}
+     */
+    VTree.StatusNode.prototype.status = null;
+
+    /**
+     * The reason of the loading failure
+     * @type {*}
+     */
+    VTree.StatusNode.prototype.error = null;
+
+    /**
+     * The promise of the running loading
+     * @type {Promise}
+     * @private
+     */
+    VTree.StatusNode.prototype._promise = null;
+
     // -----------------------------------------------------------------------------------------------------------------
     // VTree Class implementation
     // -----------------------------------------------------------------------------------------------------------------
@@ -443,7 +773,21 @@
     VTree.prototype._putLastChildWhenInside = false;
 
     VTree.prototype._invalidationRequestTimerId = null;
-    VTree.prototype._focusTimerId = null;
+
+    /**
+     * The node focused with the keyboard or the mouse
+     * @type {TreeNode}
+     * @private
+     */
+    VTree.prototype._focusedNode = null;
+
+    /**
+     * The letters typed recently to find a node by its label
+     * @type {String}
+     * @private
+     */
+    VTree.prototype._typeAhead = '';
+    VTree.prototype._typeAheadTimerId = null;
 
     VTree.prototype._updateMarksTimerId = null;
 
@@ -468,6 +812,86 @@
      */
     VTree.prototype._lastVisitedDroppable = null;
 
+    /**
+     * The node of the last row filled by _renderViewport, the next row usually shows the next node
+     * @type {TreeNode}
+     * @private
+     */
+    VTree.prototype._renderNode = null;
+
+    /**
+     * The index of the last row filled by _renderViewport
+     * @type {Number}
+     * @private
+     */
+    VTree.prototype._renderIndex = -1;
+
+    /**
+     * Row event handlers shared by all the row elements, the handled node is taken from the row
+     * @type {Object}
+     * @private
+     */
+    VTree.prototype._rowHandlers = null;
+
+    /**
+     * Returns the stable node identifier saved by getState(), null or undefined if the node has no identifier
+     * @type {Function(TreeNode)}
+     * @private
+     */
+    VTree.prototype._nodeId = function (node) {
+        return node.id;
+    };
+
+    /**
+     * Loads the children of a lazy node, returns a Promise of an Array of the child nodes
+     * @type {Function(TreeNode)}
+     * @private
+     */
+    VTree.prototype._childLoader = null;
+
+    /**
+     * The selected nodes in the order of selecting. The removed nodes are dropped from it by getSelectedNodes()
+     * @type {Set}
+     * @private
+     */
+    VTree.prototype._selectedNodes = null;
+
+    /**
+     * The node from which a range of nodes is selected with Shift
+     * @type {TreeNode}
+     * @private
+     */
+    VTree.prototype._anchorNode = null;
+
+    /**
+     * The predicate selecting the nodes shown by the tree with their parents, null if the tree is not filtered
+     * @type {Function(TreeNode)}
+     * @private
+     */
+    VTree.prototype._filter = null;
+
+    /**
+     * The number of nodes matching the filter
+     * @type {Number}
+     * @private
+     */
+    VTree.prototype._matchCount = 0;
+
+    /**
+     * The collapsed nodes expanded by the filter to show the matching nodes, collapsed back when the filter is cleared.
+     * The nodes expanded or collapsed by the user meanwhile are dropped from it
+     * @type {Set}
+     * @private
+     */
+    VTree.prototype._filterExpanded = null;
+
+    /**
+     * Highlights the matches in the row of a node matching the filter, called after the renderer
+     * @type {Function(TreeNode, Element)}
+     * @private
+     */
+    VTree.prototype._matchRenderer = null;
+
     /** override */
     VTree.prototype.endUpdate = function () {
         if (--this._updateCounter === 0) {
@@ -475,50 +899,563 @@
         }
     };
 
-    /** override */
+    /**
+     * override
+     * In addition, the rows are counted again, which is needed after the expanded state of the nodes
+     * is changed without calling their handleChange()
+     */
     VTree.prototype.refresh = function () {
+        this._countSubtree(this._root);
+        this._updateRowCount();
         this._initComputedVals();
         this.requestInvalidation(true);
     };
 
+    /**
+     * Expands all the node parents and scrolls the tree to show the node if it is not fully visible
+     * @param {TreeNode} node
+     * @returns {Boolean}
+     */
     VTree.prototype.expandAndFocus = function (node) {
-        var index = 0;
+        this.scrollToNode(node);
+        return true;
+    };
 
-        var currentNode = node;
-        while (currentNode.parent && currentNode.parent !== this._root) {
-            currentNode = currentNode.parent;
-            currentNode.expanded = true;
+    /**
+     * Expands all the node parents and scrolls the tree to show the node. The rows are rendered again only when
+     * some parent was collapsed, the rendered rows are kept otherwise
+     * @param {TreeNode} node
+     * @param {Object} [options] see VList.scrollToIndex
+     * @returns {Promise} resolved with the node row element once the node is rendered
+     */
+    VTree.prototype.scrollToNode = function (node, options) {
+        var expanded = false;
+        for (var parent = node.parent; parent instanceof TreeNode && parent !== this._root; parent = parent.parent) {
+            if (!parent.expanded || !parent._countedExpanded) {
+                parent.expanded = true;
+                this._syncExpanded(parent);
+                expanded = true;
+            }
         }
 
-        if (this._focusTimerId) {
-            return false;
+        if (expanded) {
+            this.invalidate();
         }
 
-        this._root.acceptChildren(function (n) {
-            if (n === node) {
-                return false;
-            }
-
-            index++;
-            return true;
-        }, true);
-       
-        this.invalidate();
+        var index = this.indexOfNode(node);
+        if (index < 0) {
+            return Promise.resolve(null);
+        }
+        return this.scrollToIndex(index, options);
+    };
 
-        var scrollTop = index * this._rowHeight;
-        var currentScrollTop = this._container.scrollTop;
-        
-        if (currentScrollTop > scrollTop ||
-            (scrollTop - currentScrollTop) >= this._rowHeight*this._visibleRows) {
+    /**
+     * Returns the row index of the node. The time is proportional to the node depth
+     * @param {TreeNode} node
+     * @returns {Number} the row index or -1 if the node is not in the tree or is hidden by a collapsed parent
+     */
+    VTree.prototype.indexOfNode = function (node) {
+        return this._getIdxByNode(node, true) - 1;
+    };
 
-            this._focusTimerId = setTimeout(function () {
-                this._container.scrollTop = scrollTop;
-                this._focusTimerId = null;
-            }.bind(this, 50));
-        }
+    /**
+     * Returns the node shown in the row. The time is proportional to the node depth
+     * @param {Number} index the row index
+     * @returns {TreeNode} the node, the VTree.StatusNode of a status row, or null if there is no such row
+     */
+    VTree.prototype.nodeAtIndex = function (index) {
+        return index >= 0 ? this._getNodeByIdx(index + 1, true) : null;
+    };
 
-        return true;
-    }
+    /**
+     * Checks if the node row is in the viewport, at least partially
+     * @param {TreeNode} node
+     * @returns {Boolean}
+     */
+    VTree.prototype.isNodeVisible = function (node) {
+        var index = this.indexOfNode(node);
+        var range = VList.prototype.getVisibleRange.call(this);
+        return index >= 0 && index >= range.first && index <= range.last;
+    };
+
+    /**
+     * Returns the nodes whose rows are in the viewport, at least partially. The status rows are skipped
+     * @returns {Array} the nodes in the row order
+     */
+    VTree.prototype.getVisibleNodes = function () {
+        var nodes = [];
+        var range = VList.prototype.getVisibleRange.call(this);
+        if (range.first >= 0) {
+            var iterator = new VTree.IdxIterator(this, range.first + 1, range.last + 1, true);
+            for (var node = iterator.getFirstNode(); node; node = iterator.getNext()) {
+                if (!(node instanceof VTree.StatusNode)) {
+                    nodes.push(node);
+                }
+            }
+        }
+        return nodes;
+    };
+
+    /**
+     * Returns the selected nodes in the tree order, including the nodes hidden by collapsed parents
+     * @returns {Array}
+     */
+    VTree.prototype.getSelectedNodes = function () {
+        var nodes = [];
+        this._walkSelection(false, function (node) {
+            nodes.push(node);
+        });
+        if (nodes.length < this._selectedNodes.size) {
+            this._selectedNodes.forEach(function (node) {
+                if (!this._getIdxByNode(node, false)) {
+                    node._selected = false;
+                    this._selectedNodes.delete(node);
+                }
+            }, this);
+        }
+        return nodes;
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {Boolean} true if the node is selected
+     */
+    VTree.prototype.isNodeSelected = function (node) {
+        return node._selected;
+    };
+
+    /**
+     * Selects the passed nodes, the other nodes are deselected
+     * @param {Array} nodes
+     * @returns {VTree}
+     */
+    VTree.prototype.setSelectedNodes = function (nodes) {
+        this._deselectAll();
+        nodes.forEach(function (node) {
+            this._setNodeSelected(node, true);
+        }, this);
+        this._anchorNode = nodes.length ? nodes[nodes.length - 1] : null;
+        this._updateSelection();
+        return this;
+    };
+
+    /**
+     * Selects the node
+     * @param {TreeNode} node
+     * @param {Boolean} [add] keep the other selected nodes
+     * @returns {VTree}
+     */
+    VTree.prototype.selectNode = function (node, add) {
+        if (!add) {
+            this._deselectAll();
+        }
+        this._setNodeSelected(node, true);
+        this._anchorNode = node;
+        this._updateSelection();
+        return this;
+    };
+
+    /**
+     * Deselects the node
+     * @param {TreeNode} node
+     * @returns {VTree}
+     */
+    VTree.prototype.deselectNode = function (node) {
+        if (node._selected) {
+            this._setNodeSelected(node, false);
+            this._updateSelection();
+        }
+        return this;
+    };
+
+    /**
+     * Selects all the nodes shown by the tree rows
+     * @returns {VTree}
+     */
+    VTree.prototype.selectAll = function () {
+        return this.selectRange(0, this._rowCount - 1);
+    };
+
+    /**
+     * override
+     * Returns the row indexes of the selected nodes which are shown in ascending order
+     */
+    VTree.prototype.getSelection = function () {
+        var indexes = [];
+        this._walkSelection(true, function (node, index) {
+            indexes.push(index);
+        });
+        return indexes;
+    };
+
+    /** override */
+    VTree.prototype.getSelectionRanges = function () {
+        var ranges = new VList.RangeSet();
+        this._walkSelection(true, function (node, index) {
+            ranges.add(index);
+        });
+        return ranges.getRanges();
+    };
+
+    /**
+     * override
+     * Selects the nodes shown in the rows with the passed indexes
+     */
+    VTree.prototype.setSelection = function (indexes) {
+        return this.setSelectedNodes(indexes.map(this.nodeAtIndex, this).filter(Boolean));
+    };
+
+    /**
+     * override
+     * Selects the nodes shown in the rows from first to last inclusive
+     */
+    VTree.prototype.selectRange = function (first, last, add) {
+        if (!add) {
+            this._deselectAll();
+        }
+        var low = Math.max(0, Math.min(first, last));
+        var high = Math.min(this._rowCount - 1, Math.max(first, last));
+        if (low <= high) {
+            var iterator = new VTree.IdxIterator(this, low + 1, high + 1, true);
+            for (var node = iterator.getFirstNode(); node; node = iterator.getNext()) {
+                this._setNodeSelected(node, true);
+            }
+        }
+        this._anchorNode = this.nodeAtIndex(first);
+        this._updateSelection();
+        return this;
+    };
+
+    /** override */
+    VTree.prototype.clearSelection = function () {
+        if (this._selectedNodes.size) {
+            this._deselectAll();
+            this._updateSelection();
+        }
+        return this;
+    };
+
+    /** override */
+    VTree.prototype.isSelected = function (index) {
+        var node = this.nodeAtIndex(index);
+        return !!node && node._selected;
+    };
+
+    /**
+     * Filters the tree: only the nodes matching the predicate and their parents are shown, and the collapsed parents
+     * of the matching nodes are expanded. The nodes inserted later are filtered too. Passing null clears the filter,
+     * the nodes expanded by the filter are collapsed back then
+     * @param {Function(TreeNode)} filter the predicate returning true for the matching nodes, or null
+     * @returns {VTree}
+     */
+    VTree.prototype.setFilter = function (filter) {
+        this._collapseFilterExpanded();
+        this._filter = filter || null;
+        this._applyFilter();
+        this._countSubtree(this._root);
+        this.requestInvalidation(true);
+        return this;
+    };
+
+    /**
+     * @returns {Function(TreeNode)} the filter set by setFilter() or null
+     */
+    VTree.prototype.getFilter = function () {
+        return this._filter;
+    };
+
+    /**
+     * @returns {Number} the number of nodes matching the filter
+     */
+    VTree.prototype.getMatchCount = function () {
+        return this._matchCount;
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {Boolean} true if the node matches the filter, it can be used by the renderer to highlight the matches
+     */
+    VTree.prototype.isNodeMatched = function (node) {
+        return node._matched;
+    };
+
+    /**
+     * Gets or sets the function highlighting the matches in the rows of the nodes matching the filter.
+     * It is called after the renderer, and the rows of the matching nodes also get the VTree.DEFAULT_MATCH_STYLE style
+     * @param {Function(TreeNode, Element)} [matchRenderer]
+     * @returns {Function|VTree}
+     */
+    VTree.prototype.matchRenderer = function (matchRenderer) {
+        if (!arguments.length) {
+            return this._matchRenderer;
+        } else {
+            this._matchRenderer = matchRenderer || null;
+            return this;
+        }
+    };
+
+    /**
+     * Focuses the next shown node matching the filter after the focused node, going round to the first one
+     * @returns {Promise} resolved with the node row element once the node is rendered, or with null if there is no match
+     */
+    VTree.prototype.nextMatch = function () {
+        return this._focusMatch(false);
+    };
+
+    /**
+     * Focuses the previous shown node matching the filter before the focused node, going round to the last one
+     * @returns {Promise} resolved with the node row element once the node is rendered, or with null if there is no match
+     */
+    VTree.prototype.prevMatch = function () {
+        return this._focusMatch(true);
+    };
+
+    /**
+     * override
+     * In addition, returns the first and the last visible nodes (firstNode, lastNode)
+     * and the first and the last rendered nodes (firstRenderedNode, lastRenderedNode), or null when there are no such nodes
+     */
+    VTree.prototype.getVisibleRange = function () {
+        var range = VList.prototype.getVisibleRange.call(this);
+        range.firstNode = this.nodeAtIndex(range.first);
+        range.lastNode = this.nodeAtIndex(range.last);
+        range.firstRenderedNode = this.nodeAtIndex(range.firstRendered);
+        range.lastRenderedNode = this.nodeAtIndex(range.lastRendered);
+        return range;
+    };
+
+    /**
+     * Returns the focused node
+     * @returns {TreeNode}
+     */
+    VTree.prototype.getFocusedNode = function () {
+        return this._focusedNode;
+    };
+
+    /**
+     * Focuses the node: the node row gets the focused style, and the tree is scrolled to show the node
+     * @param {TreeNode} node the node to focus or null to remove the focus
+     * @returns {Promise} resolved with the node row element once the node is rendered
+     */
+    VTree.prototype.focusNode = function (node) {
+        this._focusedNode = node || null;
+        for (var index in this._renderedRows) {
+            this._updateRowFocus(this._renderedRows[index]);
+        }
+        this._updateActiveDescendant();
+        return node ? this.scrollToNode(node) : Promise.resolve(null);
+    };
+
+    /**
+     * Gets or sets the function returning the stable identifier of a node, which keys the nodes in getState().
+     * The default function returns node.id, such as TreeNodeNamed.id
+     * @param {Function(TreeNode)} [nodeId]
+     * @returns {Function|VTree}
+     */
+    VTree.prototype.nodeId = function (nodeId) {
+        if (!arguments.length) {
+            return this._nodeId;
+        } else {
+            this._nodeId = nodeId || VTree.prototype._nodeId;
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the function loading the children of the lazy nodes (see TreeNode.lazy). It is called
+     * with the node when the node is expanded and returns a Promise of an Array of the child nodes
+     * @param {Function(TreeNode)} [childLoader]
+     * @returns {Function|VTree}
+     */
+    VTree.prototype.childLoader = function (childLoader) {
+        if (!arguments.length) {
+            return this._childLoader;
+        } else {
+            this._childLoader = childLoader || null;
+            return this;
+        }
+    };
+
+    /**
+     * Gets or sets the renderer of the status rows shown under the lazy nodes while their children are loaded
+     * or when the loading failed. The default renderer writes the status and adds a 'retry' element
+     * with the VTree.RETRY_ID identifier to the error row, clicking it loads the children again
+     * @param {Function(VTree.StatusNode, Element)} [statusRenderer]
+     * @returns {Function|VTree}
+     */
+    VTree.prototype.statusRenderer = function (statusRenderer) {
+        if (!arguments.length) {
+            return this._statusRenderer;
+        } else {
+            this._statusRenderer = statusRenderer || VTree.prototype._statusRenderer;
+            return this;
+        }
+    };
+
+    /**
+     * Loads the children of the lazy node with the child loader. A status row is shown under the node
+     * while loading, and it shows the error if the loading fails. Calling it again retries the failed loading
+     * @param {TreeNode} node
+     * @returns {Promise} resolved with the loaded child nodes, or with null if the loading failed
+     * or the node was removed meanwhile
+     */
+    VTree.prototype.loadChildren = function (node) {
+        var status = node._statusNode;
+        if (!this._childLoader) {
+            return Promise.resolve(null);
+        } else if (status && status.status === VTree.StatusNode.LOADING) {
+            return status._promise;
+        }
+
+        if (status) {
+            status.status = VTree.StatusNode.LOADING;
+            status.error = null;
+            this.requestInvalidation(true);
+        } else {
+            status = node._statusNode = new VTree.StatusNode(VTree.StatusNode.LOADING);
+            status.parent = node;
+            this._setStatusRow(node, 1);
+        }
+
+        var loader = this._childLoader;
+        status._promise = Promise.resolve().then(function () {
+            return loader(node);
+        }).then(function (children) {
+            status._promise = null;
+            if (!this._isStatusAttached(status)) {
+                return null;
+            }
+            node._statusNode = null;
+            node.lazy = false;
+            this.beginUpdate();
+            this._setStatusRow(node, -1);
+            for (var i = 0; children && i < children.length; ++i) {
+                this.appendNode(node, children[i]);
+            }
+            if (!node.firstChild && node.expanded) {
+                node.expanded = false;
+                node.handleChange(TreeNode._Change.ExpandedRemoved, node);
+            }
+            this.endUpdate();
+            return children || [];
+        }.bind(this), function (error) {
+            status._promise = null;
+            if (!this._isStatusAttached(status)) {
+                return null;
+            }
+            status.status = VTree.StatusNode.ERROR;
+            status.error = error;
+            this.requestInvalidation();
+            return null;
+        }.bind(this));
+        return status._promise;
+    };
+
+    /**
+     * override
+     * In addition, the state has the identifier of the top visible node (node), the identifiers of the expanded nodes
+     * (expanded) and of the focused node (focused), and the selection is a list of node identifiers.
+     * Nodes without an identifier are not saved, nor are the nodes expanded only by the filter
+     */
+    VTree.prototype.getState = function () {
+        var state = VList.prototype.getState.call(this);
+        var topNode = this._rowCount ? this.nodeAtIndex(state.index) : null;
+        state.node = topNode ? this._getNodeId(topNode) : null;
+        state.focused = this._focusedNode ? this._getNodeId(this._focusedNode) : null;
+
+        state.expanded = [];
+        this._root.acceptChildren(function (node) {
+            var id = this._getNodeId(node);
+            if (node.expanded && id !== null && !this._filterExpanded.has(node)) {
+                state.expanded.push(id);
+            }
+        }.bind(this), false);
+
+        state.selection = [];
+        this.getSelectedNodes().forEach(function (node) {
+            var id = this._getNodeId(node);
+            if (id !== null) {
+                state.selection.push(id);
+            }
+        }, this);
+        return state;
+    };
+
+    /**
+     * override
+     * The saved nodes are found by their identifiers: the nodes are expanded and collapsed as saved,
+     * and the tree is scrolled to the saved top node, or to the saved index when the node is not shown anymore.
+     * The expanded lazy nodes load their children. The state is applied to the unfiltered tree, then an active
+     * filter expands the collapsed parents of its matches again
+     */
+    VTree.prototype.setState = function (state) {
+        var expanded = {};
+        (state.expanded || []).forEach(function (id) {
+            expanded[id] = true;
+        });
+        var selected = {};
+        (state.selection || []).forEach(function (id) {
+            selected[id] = true;
+        });
+
+        var lazyNodes = [];
+        var selection = [];
+        var topNode = null;
+        this._focusedNode = null;
+        this._collapseFilterExpanded();
+        this._root.acceptChildren(function (node) {
+            var id = this._getNodeId(node);
+            if (id !== null) {
+                node.expanded = expanded.hasOwnProperty(id);
+                if (id === state.focused) {
+                    this._focusedNode = node;
+                }
+                if (id === state.node) {
+                    topNode = node;
+                }
+                if (selected.hasOwnProperty(id)) {
+                    selection.push(node);
+                }
+                if (node.expanded && node.lazy) {
+                    lazyNodes.push(node);
+                }
+            }
+        }.bind(this), false);
+        if (this._filter) {
+            this._applyFilter();
+        }
+        this._countSubtree(this._root);
+        this._updateRowCount();
+        this._updateScroller();
+        this._requestViewportClean();
+
+        var index = topNode ? this.indexOfNode(topNode) : -1;
+        VList.prototype.setState.call(this, {index: index >= 0 ? index : state.index, offset: state.offset});
+        this.setSelectedNodes(selection);
+        lazyNodes.forEach(this.loadChildren, this);
+        return this;
+    };
+
+    /** override */
+    VTree.prototype.destroy = function () {
+        if (!this._container) {
+            return this;
+        }
+
+        [this._invalidationRequestTimerId, this._updateMarksTimerId, this._typeAheadTimerId].forEach(clearTimeout);
+        this._invalidationRequestTimerId = this._updateMarksTimerId = this._typeAheadTimerId = null;
+        this._aScroll.destroy();
+        if (this._freeZone) {
+            this._removeRow(this._freeZone);
+            this._freeZone = null;
+        }
+        this._lastVisitedDroppable = null;
+        this._dragNodes = null;
+        this._focusedNode = null;
+        this._anchorNode = null;
+        this._container.classList.remove('vtree');
+        return VList.prototype.destroy.call(this);
+    };
 
     VTree.prototype.requestInvalidation = function (immediate) {
         if (immediate) {
@@ -540,17 +1477,47 @@
 
     VTree.prototype.handleChange = function (change, node) {
         if (change == TreeNode._Change.ExpandedSet || change == TreeNode._Change.ExpandedRemoved) {
+            this._filterExpanded.delete(node);
+            this._syncExpanded(node);
+            if (node.expanded && node.lazy) {
+                this.loadChildren(node);
+            }
             this.requestInvalidation(true);
         }
     };
 
+    /**
+     * override
+     * The rows are rendered with the row count kept by the nodes, which is not counted again:
+     * call refresh() after changing the expanded state of the nodes without calling their handleChange()
+     */
     VTree.prototype.invalidate = function () {
         this._updateRowCount();
         this._updateVisibleRows();
         this._updateScroller();
         this._requestViewportClean();
         this._render();
-        this._lastRenderScrollTop = this._container.scrollTop;
+        this._lastRenderScrollTop = this._getScrollTop();
+    };
+
+    VTree.prototype.getPreviousNode = function (node, visibleOnly) {
+        var prevNode = node instanceof VTree.StatusNode ?
+            this._getShownNode(node.parent.lastChild, visibleOnly, true) :
+            this._getShownNode(node.previous, visibleOnly, true);
+        if (prevNode) {
+            while ((prevNode.lastChild || prevNode._statusNode) && (!visibleOnly || prevNode.expanded)) {
+                if (visibleOnly && prevNode._statusNode) {
+                    return prevNode._statusNode;
+                }
+                var lastChild = this._getShownNode(prevNode.lastChild, visibleOnly, true);
+                if (!lastChild) {
+                    break;
+                }
+                prevNode = lastChild;
+            }
+            return prevNode;
+        }
+        return (node.parent instanceof TreeNode) && node.parent !== this._root ? node.parent : null;
     };
 
     VTree.prototype.getNextNode = function (node, visibleOnly) {
@@ -565,21 +1532,23 @@
         }
 
         if (startNode.firstChild && (!visibleOnly || startNode.expanded)) {
-            nextNode = startNode.firstChild;
+            nextNode = this._getShownNode(startNode.firstChild, visibleOnly, false);
         }
 
-        if (!nextNode && startNode.next) {
-            nextNode = startNode.next;
+        if (!nextNode && visibleOnly && startNode.expanded && !(startNode instanceof VTree.StatusNode)) {
+            nextNode = startNode._statusNode;
         }
 
-        if (!nextNode) {
-            for (var parentNode = startNode.parent;
-                 !nextNode && (parentNode instanceof TreeNode) && parentNode !== this._root;
-                 parentNode = parentNode.parent) {
+        // The status row of a parent follows the rows of its last child
+        for (var lastNode = startNode;
+             !nextNode && (lastNode.parent instanceof TreeNode) && lastNode !== this._root;
+             lastNode = lastNode.parent) {
 
-                if (parentNode.next) {
-                    nextNode = parentNode.next;
-                }
+            if (lastNode.next) {
+                nextNode = this._getShownNode(lastNode.next, visibleOnly, false);
+            }
+            if (!nextNode && visibleOnly && lastNode !== lastNode.parent._statusNode) {
+                nextNode = lastNode.parent._statusNode;
             }
         }
 
@@ -603,6 +1572,11 @@
     };
 
     VTree.prototype.removeNode = function (node) {
+        if (this._filter) {
+            this._matchCount -= this._countMatches(node);
+        }
+        this._updateAncestorCounts(node.parent, -1 - node._descendantCount, -this._getRowSpan(node));
+
         if (node.parent.firstChild == node) {
             node.parent.firstChild = node.next;
         }
@@ -620,21 +1594,23 @@
         }
 
         var parent = node.parent;
+        --parent._childCount;
+        if (parent._childIndex && !parent._childIndex.remove(node)) {
+            parent._childIndex = null;
+        }
         node.parent = null;
         node.previous = null;
         node.next = null;
 
-        if (node.firstChild) {
-            this._nodeCount -= node.getNodeCount();
-        } else {
-            --this._nodeCount;
+        if (this._focusedNode && (this._focusedNode === node || this._nodeHasSomeParent(this._focusedNode, node))) {
+            this._focusedNode = null;
         }
-        if (node.expanded && node.firstChild) {
-            this._updateRowCount();
-        } else if (parent.expanded) {
-            --this._rowCount;
+
+        if (this._filter && this._refilterParents(parent)) {
+            this._countSubtree(this._root);
         }
-        if (parent.expanded && !parent.firstChild && parent !== this._root) {
+        this._updateRowCount();
+        if (parent.expanded && !parent.firstChild && !parent._statusNode && parent !== this._root) {
             parent.expanded = false;
             parent.handleChange(TreeNode._Change.ExpandedRemoved, parent);
         }
@@ -646,12 +1622,17 @@
 
     VTree.prototype.clean = function () {
         // TODO: may be implement one by one nodes removal
+        this.clearSelection();
+        this._anchorNode = null;
+        this._filterExpanded.clear();
+        this._matchCount = 0;
         this._nodeCount = 0;
         this._rowCount = 0;
         this._root = new TreeNode();
-        this._root.expanded = true;
+        this._root.expanded = this._root._countedExpanded = true;
         this._root.parent = this;
         this._dragNodes = null;
+        this._focusedNode = null;
         this.requestInvalidation(true);
     };
 
@@ -665,71 +1646,48 @@
 
     /** override */
     VTree.prototype._updateScroller = function () {
-        this._scroller.style.height = (this._rowCount * this._rowHeight + this._freeHeight).toString() + 'px';
+        this._sizes.reset(this._rowCount, this._rowHeight);
+        VList.prototype._updateScroller.call(this);
+    };
+
+    /** override */
+    VTree.prototype._relayout = function (crossSizeChanged) {
+        this._initComputedVals();
+        VList.prototype._relayout.call(this, crossSizeChanged);
+    };
+
+    /** override */
+    VTree.prototype._getScrollSize = function () {
+        return this._sizes.getTotalSize() + this._freeHeight;
     };
 
     /** override */
-    VTree.prototype._renderViewport = function (index) {
-        this._freeZone = null;
+    VTree.prototype._renderViewport = function (index, lastIndex, incremental) {
         this._lastVisitedDroppable = null;
-        for (var j = 1, l = this._container.childNodes.length; j < l; j++) {
-            this._container.childNodes[j].style.display = 'none';
-            this._container.childNodes[j].setAttribute('data-clean', '');
-        }
-
-        if (this._rowCount && this._renderer && this._rowHeight) {
-            var lastIndex = Math.min(this._rowCount, index + this._cachedRows);
-            var fragment = document.createDocumentFragment();
-
-            var it = new VTree.IdxIterator(this, index + 1, lastIndex, true);
-            var i = index;
-            for (var node = it.getFirstNode(); node != null; node = it.getNext(), ++i) {
-                var row = document.createElement('div');
-                row.id = VTree.ROW_ID;
-                row.classList.add(this._rowStyle);
-                row.style.top = (i * this._rowHeight).toString() + 'px';
-                var padding = this._paddingLeft * (node.getNestLevel() - 1);
-                row.style.paddingLeft = padding.toString() + 'px';
-                if (node.expanded || node.firstChild) {
-                    var expandElem = document.createElement('span');
-                    if (node.expanded) {
-                        expandElem.id = VTree.COLLAPSE_ID;
-                    } else { // node.firstChild
-                        expandElem.id = VTree.EXPAND_ID;
-                    }
-                    if (this._expandStyle) {
-                        expandElem.classList.add(this._expandStyle);
-                    }
-                    this._expandRenderer(expandElem);
-                    row.appendChild(expandElem);
-                }
-                row.addEventListener('click', this._nodeClick.bind(this, node));
-                row.setAttribute('draggable', true);
-                row.addEventListener('dragstart', this._nodeDragStart.bind(this, node));
-                row.addEventListener('dragenter', this._nodeDragEnter.bind(this, node));
-                row.addEventListener('dragover', this._nodeDragOver.bind(this, node));
-                row.addEventListener('dragleave', this._nodeDragLeave.bind(this, node));
-                row.addEventListener('drop', this._nodeDrop.bind(this, node));
-                row._specCounter = 0;
-                row._hasStyle = false;
-                this._renderer(node, row);
-                fragment.appendChild(row);
-            }
+        if (this._freeZone) {
+            this._freeZone.style.display = 'none';
+            this._freeZone.setAttribute('data-clean', '');
+            this._freeZone = null;
+        }
+
+        var rows = VList.prototype._renderViewport.call(this, index, lastIndex, incremental);
+        this._renderNode = null;
+        this._renderIndex = -1;
 
+        if (rows.length) {
             if (lastIndex == this._rowCount) {
                 var freeZone = document.createElement('div');
                 freeZone.style.position = 'absolute';
                 freeZone.style.height = this._freeHeight.toString() + 'px';
-                freeZone.style.top = (lastIndex * this._rowHeight).toString() + 'px';
+                freeZone.style.top = this._getRowTop(lastIndex).toString() + 'px';
                 freeZone.addEventListener('dragenter', this._nodeDragEnter.bind(this, this._root));
                 freeZone.addEventListener('dragover', this._nodeDragOver.bind(this, this._root));
                 freeZone.addEventListener('dragleave', this._nodeDragLeave.bind(this, this._root));
                 freeZone.addEventListener('drop', this._nodeDrop.bind(this, this._root));
-                fragment.appendChild(freeZone);
+                this._container.appendChild(freeZone);
                 this._freeZone = freeZone;
             }
 
-            this._container.appendChild(fragment);
             this._expandedWidth = this._container.scrollWidth;
             for (var j = 1, l = this._container.childNodes.length; j < l; j++) {
                 if (this._container.childNodes[j].style.display !== 'none') {
@@ -738,56 +1696,242 @@
                 }
             }
         }
+        return rows;
     };
 
-    VTree.prototype._initComputedVals = function () {
-        this._containerWidth = parseInt(this._container.clientWidth);
-        var testRow = document.createElement('div');
-        testRow.classList.add(this._rowStyle);
-        testRow.style.display = 'none';
-        this._container.appendChild(testRow);
-        var style = getComputedStyle(testRow);
-
-        var padding = parseInt(style.paddingLeft);
-        this._paddingLeft = padding !== null ? padding : VTree.DEFAULT_PADDING;
-
-        var lineHeight = parseInt(style.lineHeight);
-        this._rowHeight = lineHeight ? lineHeight : VTree.DEFAULT_LINE_HEIGHT;
-
-        var testDownSep = document.createElement('div');
-        testDownSep.classList.add(this._downSeparatorStyle);
-        testDownSep.style.display = 'none';
-        testRow.appendChild(testDownSep);
-        this._downSepHeight = parseInt(getComputedStyle(testDownSep).height);
+    /**
+     * Returns the node of a rendered row. The rows are mostly filled in order, so the node is taken next to
+     * the node of the previous row, and is looked up by the index only after the rows kept by an incremental render
+     * @param {Number} index the row index
+     * @returns {TreeNode}
+     * @private
+     */
+    VTree.prototype._getRenderNode = function (index) {
+        var node = this._renderNode && this._renderIndex === index - 1
+            ? this.getNextNode(this._renderNode, true)
+            : this.nodeAtIndex(index);
+        this._renderNode = node;
+        this._renderIndex = index;
+        return node;
+    };
 
-        this._expandedWidth = this._container.scrollWidth;
+    /** override */
+    VTree.prototype._createRow = function () {
+        if (!this._rowHandlers) {
+            this._rowHandlers = {
+                click: this._bindRowHandler(this._nodeClick),
+                dragstart: this._bindRowHandler(this._nodeDragStart),
+                dragend: this._bindRowHandler(this._nodeDragEnd),
+                dragenter: this._bindRowHandler(this._nodeDragEnter),
+                dragover: this._bindRowHandler(this._nodeDragOver),
+                dragleave: this._bindRowHandler(this._nodeDragLeave),
+                drop: this._bindRowHandler(this._nodeDrop)
+            };
+        }
 
-        this._container.removeChild(testRow);
+        var row = document.createElement('div');
+        row.id = VTree.ROW_ID;
+        row.classList.add(this._rowStyle);
+        row.setAttribute('draggable', true);
+        for (var type in this._rowHandlers) {
+            row.addEventListener(type, this._rowHandlers[type]);
+        }
+        return row;
     };
 
-    VTree.prototype._insertNodeBefore = function (parent, reference, child) {
-        child.parent = parent;
-        if (reference != null) {
-            child.next = reference;
-            child.previous = reference.previous;
-            reference.previous = child;
-            if (child.previous == null) {
-                parent.firstChild = child;
-            } else {
-                child.previous.next = child;
-            }
+    /** override */
+    VTree.prototype._fillRow = function (row, index, recycled) {
+        var node = this._getRenderNode(index);
+        if (recycled) {
+            // The row content is built again, so the components mounted by the row hooks are released first
+            this._unmountRow(row);
+            row.textContent = '';
+            row.style.width = '';
+            row.classList.remove(this._insertIntoStyle, VTree.DEFAULT_STATUS_STYLE, VTree.DEFAULT_ERROR_STYLE,
+                VTree.DEFAULT_MATCH_STYLE);
         }
-        else {
-            if (parent.lastChild != null) {
-                child.previous = parent.lastChild;
-                parent.lastChild.next = child;
-                parent.lastChild = child;
+        row._node = node;
+
+        var padding = this._paddingLeft * (node.getNestLevel() - 1);
+        row.style.paddingLeft = padding.toString() + 'px';
+        if (this._isExpandable(node)) {
+            var expandElem = document.createElement('span');
+            if (node.expanded) {
+                expandElem.id = VTree.COLLAPSE_ID;
+            } else { // node.firstChild or node.lazy
+                expandElem.id = VTree.EXPAND_ID;
             }
-            child.next = null;
+            if (this._expandStyle) {
+                expandElem.classList.add(this._expandStyle);
+            }
+            expandElem.setAttribute('aria-hidden', 'true');
+            this._expandRenderer(expandElem);
+            row.appendChild(expandElem);
         }
-
-        if (parent.firstChild == null) {
-            parent.firstChild = child;
+        row._specCounter = 0;
+        row._hasStyle = false;
+        this._updateRowFocus(row);
+        if (node instanceof VTree.StatusNode) {
+            row.setAttribute('draggable', false);
+            row.classList.add(VTree.DEFAULT_STATUS_STYLE);
+            if (node.status === VTree.StatusNode.ERROR) {
+                row.classList.add(VTree.DEFAULT_ERROR_STYLE);
+            }
+            this._statusRenderer(node, row);
+        } else {
+            row.setAttribute('draggable', true);
+            this._renderer(node, row, recycled);
+            if (node._matched) {
+                row.classList.add(VTree.DEFAULT_MATCH_STYLE);
+                if (this._matchRenderer) {
+                    this._matchRenderer(node, row);
+                }
+            }
+        }
+    };
+
+    /**
+     * Sets the focused style of the row element. The focused row also gets a unique identifier
+     * to be referred by the container aria-activedescendant
+     * @param {Element} row
+     * @private
+     */
+    VTree.prototype._updateRowFocus = function (row) {
+        if (row._node && row._node === this._focusedNode) {
+            row.classList.add(VTree.DEFAULT_FOCUSED_STYLE);
+            row.id = this._idPrefix + '-focused';
+        } else {
+            row.classList.remove(VTree.DEFAULT_FOCUSED_STYLE);
+            row.id = VTree.ROW_ID;
+        }
+    };
+
+    /** override */
+    VTree.prototype._updateRowAria = function (row, index) {
+        var node = row._node;
+        row.setAttribute('role', 'treeitem');
+        row.setAttribute('aria-level', node.getNestLevel());
+        if (node instanceof VTree.StatusNode) {
+            row.removeAttribute('aria-setsize');
+            row.removeAttribute('aria-posinset');
+        } else {
+            var setSize = this._filter ? this._getChildIndex(node.parent).getShownCount() : node.parent._childCount;
+            row.setAttribute('aria-setsize', setSize);
+            row.setAttribute('aria-posinset', this._getNodePosition(node));
+        }
+        if (this._isExpandable(node)) {
+            row.setAttribute('aria-expanded', node.expanded ? 'true' : 'false');
+        } else {
+            row.removeAttribute('aria-expanded');
+        }
+        if (node._statusNode && node._statusNode.status === VTree.StatusNode.LOADING) {
+            row.setAttribute('aria-busy', 'true');
+        } else {
+            row.removeAttribute('aria-busy');
+        }
+    };
+
+    /** override */
+    VTree.prototype._getActiveRow = function () {
+        for (var index in this._renderedRows) {
+            if (this._renderedRows[index]._node === this._focusedNode) {
+                return this._renderedRows[index];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns the 1-based position of the node among its siblings shown by the filter, taken from the child index
+     * of the parent
+     * @param {TreeNode} node
+     * @returns {Number}
+     * @private
+     */
+    VTree.prototype._getNodePosition = function (node) {
+        return this._getChildIndex(node.parent).getPosition(node) + 1;
+    };
+
+    /**
+     * override
+     * The row hooks get the node shown by the row
+     */
+    VTree.prototype._getRowKey = function (row) {
+        return row._node;
+    };
+
+    /**
+     * override
+     * In addition, the event has the rendered node
+     */
+    VTree.prototype._createRowEvent = function (row, index, recycled) {
+        var event = VList.prototype._createRowEvent.call(this, row, index, recycled);
+        event.node = row._node;
+        return event;
+    };
+
+    /**
+     * Wraps a row event handler to be called with the node currently rendered in the row
+     * @param {Function(TreeNode, Event)} handler
+     * @returns {Function(Event)}
+     * @private
+     */
+    VTree.prototype._bindRowHandler = function (handler) {
+        var vtree = this;
+        return function (e) {
+            return handler.call(vtree, e.currentTarget._node, e);
+        };
+    };
+
+    VTree.prototype._initComputedVals = function () {
+        this._containerWidth = parseInt(this._container.clientWidth);
+        var testRow = document.createElement('div');
+        testRow.classList.add(this._rowStyle);
+        testRow.style.display = 'none';
+        this._container.appendChild(testRow);
+        var style = getComputedStyle(testRow);
+
+        var padding = parseInt(style.paddingLeft);
+        this._paddingLeft = padding !== null ? padding : VTree.DEFAULT_PADDING;
+
+        var lineHeight = parseInt(style.lineHeight);
+        this._rowHeight = lineHeight ? lineHeight : VTree.DEFAULT_LINE_HEIGHT;
+
+        var testDownSep = document.createElement('div');
+        testDownSep.classList.add(this._downSeparatorStyle);
+        testDownSep.style.display = 'none';
+        testRow.appendChild(testDownSep);
+        this._downSepHeight = parseInt(getComputedStyle(testDownSep).height);
+
+        this._expandedWidth = this._container.scrollWidth;
+
+        this._container.removeChild(testRow);
+    };
+
+    VTree.prototype._insertNodeBefore = function (parent, reference, child) {
+        child.parent = parent;
+        ++parent._childCount;
+        if (reference != null) {
+            child.next = reference;
+            child.previous = reference.previous;
+            reference.previous = child;
+            if (child.previous == null) {
+                parent.firstChild = child;
+            } else {
+                child.previous.next = child;
+            }
+        }
+        else {
+            if (parent.lastChild != null) {
+                child.previous = parent.lastChild;
+                parent.lastChild.next = child;
+                parent.lastChild = child;
+            }
+            child.next = null;
+        }
+
+        if (parent.firstChild == null) {
+            parent.firstChild = child;
             child.previous = null;
             child.next = null;
         }
@@ -796,17 +1940,18 @@
             parent.lastChild = child;
         }
 
-        if (child.firstChild) {
-            this._nodeCount += child.getNodeCount();
+        if (this._filter && this._filterSubtree(child) && this._revealParents(parent)) {
+            this._countSubtree(this._root);
         } else {
-            ++this._nodeCount;
-        }
-
-        if (child.expanded && child.firstChild) {
-            this._updateRowCount();
-        } else if (parent.expanded) {
-            ++this._rowCount;
+            this._countSubtree(child);
+            if (parent._childIndex && child.next) {
+                parent._childIndex = null;
+            } else if (parent._childIndex) {
+                parent._childIndex.append(this, child);
+            }
+            this._updateAncestorCounts(parent, 1 + child._descendantCount, this._getRowSpan(child));
         }
+        this._updateRowCount();
 
         if (parent.expanded || !parent.expanded && parent.firstChild == parent.lastChild) {
             // redraw
@@ -824,6 +1969,26 @@
         }
     };
 
+    /**
+     * The default status row renderer, see statusRenderer()
+     * @param {VTree.StatusNode} node
+     * @param {Element} row
+     * @private
+     */
+    VTree.prototype._statusRenderer = function (node, row) {
+        if (node.status === VTree.StatusNode.LOADING) {
+            row.appendChild(document.createTextNode('Loading...'));
+        } else {
+            row.appendChild(document.createTextNode('Failed to load '));
+            var retryElem = document.createElement('span');
+            retryElem.id = VTree.RETRY_ID;
+            retryElem.classList.add('vretry');
+            retryElem.setAttribute('role', 'button');
+            retryElem.textContent = 'Retry';
+            row.appendChild(retryElem);
+        }
+    };
+
     VTree.prototype._separatorRenderer = function (sep, paddingLevel) {
         var width = this._expandedWidth - this._paddingLeft * paddingLevel;
         sep.style.width = width.toString() + 'px';
@@ -850,27 +2015,454 @@
         }
     };
 
+    /**
+     * Takes the row and the node counts of the tree from the root node counts
+     * @private
+     */
     VTree.prototype._updateRowCount = function () {
-        var i = 0;
-        this._root.acceptChildren(function (node) {
-            ++i;
-            return true;
-        }, true);
-        this._rowCount = i;
+        this._rowCount = this._root._expandedRowCount;
+        this._nodeCount = this._root._descendantCount;
+    };
+
+    /**
+     * Counts the nodes and the rows of the node sub-tree, which is walked once. The child indexes of the sub-tree
+     * are dropped, but not the index of the node parent
+     * @param {TreeNode} node
+     * @private
+     */
+    VTree.prototype._countSubtree = function (node) {
+        node._childIndex = null;
+        node._descendantCount = 0;
+        node._expandedRowCount = 0;
+        for (var child = node.firstChild; child != null; child = child.next) {
+            this._countSubtree(child);
+            node._descendantCount += 1 + child._descendantCount;
+            node._expandedRowCount += this._getRowSpan(child);
+        }
+        if (node._statusNode) {
+            ++node._expandedRowCount;
+        }
+        node._countedExpanded = node.expanded;
+    };
+
+    /**
+     * Adds or removes the status row of the node in the row counts, the status node is not counted as a node
+     * @param {TreeNode} node the lazy node
+     * @param {Number} rowDelta 1 to add the row, -1 to remove it
+     * @private
+     */
+    VTree.prototype._setStatusRow = function (node, rowDelta) {
+        this._updateAncestorCounts(node, 0, rowDelta);
+        this._updateRowCount();
+        if (node.expanded) {
+            this.requestInvalidation();
+        }
+    };
+
+    /**
+     * @param {VTree.StatusNode} status
+     * @returns {Boolean} true if the status is still shown for its node, and the node is in the tree
+     * @private
+     */
+    VTree.prototype._isStatusAttached = function (status) {
+        return !!this._container && status.parent._statusNode === status && this._getIdxByNode(status.parent, false) > 0;
+    };
+
+    /**
+     * Adds the changes of the node counts of a sub-tree to the node and its parents. The row count change
+     * stops at the first collapsed or filtered out node, since the rows of its sub-tree are not shown
+     * @param {TreeNode} node the parent of the changed sub-tree
+     * @param {Number} nodeDelta
+     * @param {Number} rowDelta
+     * @private
+     */
+    VTree.prototype._updateAncestorCounts = function (node, nodeDelta, rowDelta) {
+        for (var parent = node; (parent instanceof TreeNode) && (nodeDelta || rowDelta); parent = parent.parent) {
+            parent._descendantCount += nodeDelta;
+            parent._expandedRowCount += rowDelta;
+            this._updateChildIndex(parent);
+            if (!parent._countedExpanded || parent._filteredOut) {
+                rowDelta = 0;
+            }
+        }
+    };
+
+    /**
+     * Updates the row counts of the node parents after the node was expanded or collapsed
+     * @param {TreeNode} node
+     * @private
+     */
+    VTree.prototype._syncExpanded = function (node) {
+        if (node._countedExpanded !== node.expanded) {
+            var rowSpan = this._getRowSpan(node);
+            node._countedExpanded = node.expanded;
+            this._updateChildIndex(node);
+            this._updateAncestorCounts(node.parent, 0, this._getRowSpan(node) - rowSpan);
+        }
     };
 
+    /**
+     * Passes the changed counts of the node to the child index of its parent, if the parent has one
+     * @param {TreeNode} node
+     * @private
+     */
+    VTree.prototype._updateChildIndex = function (node) {
+        if ((node.parent instanceof TreeNode) && node.parent._childIndex) {
+            node.parent._childIndex.update(this, node);
+        }
+    };
+
+    /**
+     * @param {TreeNode} parent
+     * @returns {VTree.ChildIndex} the index of the parent children, which is built if the parent has none
+     * @private
+     */
+    VTree.prototype._getChildIndex = function (parent) {
+        if (!parent._childIndex) {
+            parent._childIndex = new VTree.ChildIndex(this, parent);
+        }
+        return parent._childIndex;
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {Number} the number of rows taken by the node and its sub-tree when the node parent is expanded
+     * @private
+     */
+    VTree.prototype._getRowSpan = function (node) {
+        if (node._filteredOut) {
+            return 0;
+        }
+        return 1 + (node._countedExpanded ? node._expandedRowCount : 0);
+    };
+
+    /**
+     * Returns the node by its 1-based index. The node is found by going down from the root, finding the child
+     * containing the index in the child index of each parent
+     * @param {Number} idx
+     * @param {Boolean} visibleOnly
+     * @returns {TreeNode} the node or null if there is no such node
+     * @private
+     */
     VTree.prototype._getNodeByIdx = function (idx, visibleOnly) {
-        var i = 0;
-        var nodeRef = null;
-        this._root.acceptChildren(function (node) {
-            ++i;
-            if (i == idx) {
-                nodeRef = node;
-                return false;
+        var parent = this._root;
+        while (idx > 0) {
+            var total = visibleOnly ? parent._expandedRowCount : parent._descendantCount;
+            if (idx > total) {
+                return null;
+            } else if (visibleOnly && idx === total && parent._statusNode) {
+                return parent._statusNode;
+            }
+
+            var childIndex = this._getChildIndex(parent);
+            var child = childIndex.getChildAt(idx - 1, visibleOnly);
+            idx -= childIndex.getOffset(child, visibleOnly);
+            if (idx === 1) {
+                return child;
+            }
+            parent = child;
+            --idx;
+        }
+        return null;
+    };
+
+    /**
+     * Returns the 1-based index of the node, or 0 if the node is not in the tree or is hidden when visibleOnly is set.
+     * The index is summed up going from the node to the root
+     * @param {TreeNode} node
+     * @param {Boolean} visibleOnly
+     * @returns {Number}
+     * @private
+     */
+    VTree.prototype._getIdxByNode = function (node, visibleOnly) {
+        if ((node instanceof VTree.StatusNode) && (!visibleOnly || !node.parent || node.parent._statusNode !== node)) {
+            return 0;
+        }
+        var idx = 0;
+        for (; node && node !== this._root; node = node.parent) {
+            var parent = node.parent;
+            if (!(parent instanceof TreeNode) || visibleOnly && (!parent._countedExpanded || node._filteredOut)) {
+                return 0;
+            }
+            idx += this._getPreviousSpan(node, visibleOnly) + 1;
+        }
+        return node ? idx : 0;
+    };
+
+    /**
+     * Returns the number of rows, or of nodes if not visibleOnly, taken by the previous siblings of the node.
+     * The status row follows the rows of all the children
+     * @param {TreeNode} node
+     * @param {Boolean} visibleOnly
+     * @returns {Number}
+     * @private
+     */
+    VTree.prototype._getPreviousSpan = function (node, visibleOnly) {
+        if (node instanceof VTree.StatusNode) {
+            return node.parent._expandedRowCount - 1;
+        }
+        return this._getChildIndex(node.parent).getOffset(node, visibleOnly);
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {*} the node identifier, null if the node has no identifier
+     * @private
+     */
+    VTree.prototype._getNodeId = function (node) {
+        var id = node instanceof VTree.StatusNode ? null : this._nodeId(node);
+        return id !== undefined ? id : null;
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {Boolean} true if the node row has the expand or the collapse element
+     * @private
+     */
+    VTree.prototype._isExpandable = function (node) {
+        return !!(node.expanded || node.firstChild || node.lazy);
+    };
+
+    /**
+     * Marks the node selected or not, the rows are updated by _updateSelection()
+     * @param {TreeNode} node
+     * @param {Boolean} selected
+     * @private
+     */
+    VTree.prototype._setNodeSelected = function (node, selected) {
+        if (node._selected !== selected && !(node instanceof VTree.StatusNode)) {
+            node._selected = selected;
+            if (selected) {
+                this._selectedNodes.add(node);
+            } else {
+                this._selectedNodes.delete(node);
+            }
+        }
+    };
+
+    VTree.prototype._deselectAll = function () {
+        this._selectedNodes.forEach(function (node) {
+            node._selected = false;
+        });
+        this._selectedNodes.clear();
+    };
+
+    /**
+     * Walks the tree once in the row order and calls back for each selected node. The walk stops when all
+     * the selected nodes are found
+     * @param {Boolean} visibleOnly skip the nodes hidden by collapsed parents or by the filter
+     * @param {Function(TreeNode, Number)} callback called with the node and its row index if visibleOnly
+     * @private
+     */
+    VTree.prototype._walkSelection = function (visibleOnly, callback) {
+        var found = 0;
+        var index = 0;
+        var node = this._root.firstChild;
+        while (node && found < this._selectedNodes.size) {
+            var shown = !visibleOnly || !node._filteredOut;
+            if (shown) {
+                if (node._selected) {
+                    callback(node, index);
+                    ++found;
+                }
+                ++index;
+            }
+            if (shown && node.firstChild && (!visibleOnly || node.expanded)) {
+                node = node.firstChild;
+                continue;
+            }
+            for (; node; node = node.parent !== this._root ? node.parent : null) {
+                // The status row follows the rows of the node sub-tree
+                if (visibleOnly && node.expanded && node._statusNode && !node._filteredOut) {
+                    ++index;
+                }
+                if (node.next) {
+                    node = node.next;
+                    break;
+                }
+            }
+        }
+    };
+
+    /**
+     * Returns the selected nodes to be dragged in the tree order. The nodes whose parent is selected are skipped,
+     * since they are moved together with the parent
+     * @returns {Array}
+     * @private
+     */
+    VTree.prototype._getDraggedSelection = function () {
+        return this.getSelectedNodes().filter(function (node) {
+            for (var parent = node.parent; (parent instanceof TreeNode); parent = parent.parent) {
+                if (parent._selected) {
+                    return false;
+                }
             }
             return true;
-        }, visibleOnly);
-        return nodeRef;
+        });
+    };
+
+    /**
+     * override
+     * The selection is kept by node
+     */
+    VTree.prototype._isRowSelected = function (row) {
+        return !!row._node && row._node._selected;
+    };
+
+    /**
+     * override
+     * The event has the selected nodes in the tree order
+     */
+    VTree.prototype._emitSelectionChange = function () {
+        if (this._hasListeners('selectionchange')) {
+            this._emit('selectionchange', {nodes: this.getSelectedNodes(), focusedNode: this._focusedNode});
+        }
+    };
+
+    /**
+     * Marks the nodes matching the filter and the nodes hidden by it, the row counts are not updated
+     * @private
+     */
+    VTree.prototype._applyFilter = function () {
+        this._matchCount = 0;
+        for (var child = this._root.firstChild; child != null; child = child.next) {
+            this._filterSubtree(child);
+        }
+    };
+
+    /**
+     * Collapses back the nodes expanded by the filter, the row counts are not updated
+     * @private
+     */
+    VTree.prototype._collapseFilterExpanded = function () {
+        this._filterExpanded.forEach(function (node) {
+            node.expanded = false;
+        });
+        this._filterExpanded.clear();
+    };
+
+    /**
+     * Marks the nodes of the sub-tree matching the filter and the nodes hidden by it, and expands the collapsed nodes
+     * with matching descendants. Without a filter, the marks are cleared. Status rows are shown with their nodes
+     * @param {TreeNode} node
+     * @returns {Boolean} true if the node or one of its descendants matches the filter
+     * @private
+     */
+    VTree.prototype._filterSubtree = function (node) {
+        var hasShownChild = false;
+        for (var child = node.firstChild; child != null; child = child.next) {
+            if (this._filterSubtree(child)) {
+                hasShownChild = true;
+            }
+        }
+
+        node._matched = !!this._filter && !!this._filter(node);
+        node._filteredOut = !!this._filter && !node._matched && !hasShownChild;
+        if (node._matched) {
+            ++this._matchCount;
+        }
+        if (hasShownChild && this._filter && !node.expanded) {
+            node.expanded = true;
+            this._filterExpanded.add(node);
+        }
+        return !node._filteredOut;
+    };
+
+    /**
+     * Shows and expands the parents hidden or collapsed by the filter, to show an inserted matching node
+     * @param {TreeNode} parent the parent of the inserted node
+     * @returns {Boolean} true if some parent has changed
+     * @private
+     */
+    VTree.prototype._revealParents = function (parent) {
+        var changed = false;
+        for (; (parent instanceof TreeNode) && parent !== this._root; parent = parent.parent) {
+            if (parent._filteredOut || !parent.expanded) {
+                changed = true;
+                parent._filteredOut = false;
+                if (!parent.expanded) {
+                    parent.expanded = true;
+                    this._filterExpanded.add(parent);
+                }
+            }
+        }
+        return changed;
+    };
+
+    /**
+     * Marks again the parents matching the filter and hidden by it after a node was removed, since the removed node
+     * may have been the last shown descendant of some of them
+     * @param {TreeNode} parent the parent of the removed node
+     * @returns {Boolean} true if some parent has changed
+     * @private
+     */
+    VTree.prototype._refilterParents = function (parent) {
+        var changed = false;
+        for (; (parent instanceof TreeNode) && parent !== this._root; parent = parent.parent) {
+            var matched = !!this._filter(parent);
+            if (matched !== parent._matched) {
+                this._matchCount += matched ? 1 : -1;
+                parent._matched = matched;
+                changed = true;
+            }
+            var filteredOut = !matched && !this._getShownNode(parent.firstChild, true, false);
+            if (filteredOut === parent._filteredOut) {
+                break;
+            }
+            parent._filteredOut = filteredOut;
+            changed = true;
+        }
+        return changed;
+    };
+
+    /**
+     * @param {TreeNode} node
+     * @returns {Number} the number of nodes matching the filter in the node sub-tree
+     * @private
+     */
+    VTree.prototype._countMatches = function (node) {
+        var count = 0;
+        node.accept(function (n) {
+            if (n._matched) {
+                ++count;
+            }
+        }, false);
+        return count;
+    };
+
+    /**
+     * Focuses the next or the previous shown node matching the filter, see nextMatch()
+     * @param {Boolean} backward
+     * @returns {Promise}
+     * @private
+     */
+    VTree.prototype._focusMatch = function (backward) {
+        var node = this._focusedNode && this.indexOfNode(this._focusedNode) >= 0 ? this._focusedNode : null;
+        for (var i = 0; this._matchCount && i < this._rowCount; ++i) {
+            node = node && (backward ? this.getPreviousNode(node, true) : this.getNextNode(node, true));
+            if (!node) {
+                node = this.nodeAtIndex(backward ? this._rowCount - 1 : 0);
+            }
+            if (node._matched) {
+                return this.focusNode(node);
+            }
+        }
+        return Promise.resolve(null);
+    };
+
+    /**
+     * Skips the siblings hidden by the filter
+     * @param {TreeNode} node the node to start from
+     * @param {Boolean} visibleOnly false to return the passed node
+     * @param {Boolean} backward go to the previous siblings, otherwise to the next ones
+     * @returns {TreeNode} the first shown node or null
+     * @private
+     */
+    VTree.prototype._getShownNode = function (node, visibleOnly, backward) {
+        while (visibleOnly && node && node._filteredOut) {
+            node = backward ? node.previous : node.next;
+        }
+        return node;
     };
 
     VTree.prototype._nodeHasSomeParent = function (node, parNode) {
@@ -882,15 +2474,210 @@
     };
 
     VTree.prototype._nodeClick = function (node, e) {
-        if ((node.expanded || node.firstChild) && (e.target.id === VTree.COLLAPSE_ID || e.target.id === VTree.EXPAND_ID)) {
+        if (node instanceof VTree.StatusNode) {
+            if (e.target.id === VTree.RETRY_ID) {
+                e.stopPropagation();
+                this.loadChildren(node.parent);
+            }
+            return;
+        }
+
+        this.focusNode(node);
+        if (this._isExpandable(node) && (e.target.id === VTree.COLLAPSE_ID || e.target.id === VTree.EXPAND_ID)) {
             e.stopPropagation();
             node.handleExpand(e);
-        } else if (this._clickCallback) {
-            e.stopPropagation();
-            this._clickCallback(node);
+        } else {
+            this._selectNodeByEvent(node, e);
+            if (this._clickCallback) {
+                e.stopPropagation();
+                this._clickCallback(node);
+            }
+        }
+    };
+
+    /**
+     * override
+     * The tree rows are selected by _nodeClick()
+     */
+    VTree.prototype._onRowClick = function (e) {
+    };
+
+    /**
+     * Selects the node clicked or reached with the keys according to the selection mode and the pressed modifier keys:
+     * Shift selects the nodes shown from the anchor node to the clicked one, and Ctrl/Cmd toggles the node
+     * in the 'multiple' mode
+     * @param {TreeNode} node
+     * @param {MouseEvent|KeyboardEvent} e
+     * @private
+     */
+    VTree.prototype._selectNodeByEvent = function (node, e) {
+        if (this._selectionMode === 'none') {
+            return;
+        }
+
+        var toggle = (e.ctrlKey || e.metaKey) && this._selectionMode === 'multiple';
+        var anchorIndex = e.shiftKey && this._selectionMode !== 'single' && this._anchorNode
+            ? this.indexOfNode(this._anchorNode) : -1;
+        if (anchorIndex >= 0) {
+            this.selectRange(anchorIndex, this.indexOfNode(node), toggle);
+        } else if (toggle && node._selected) {
+            this._setNodeSelected(node, false);
+            this._anchorNode = node;
+            this._updateSelection();
+        } else {
+            this.selectNode(node, toggle);
+        }
+    };
+
+    /**
+     * override
+     * Handles the tree view keys: Up/Down move between rows, Right expands a node or moves to its first child,
+     * Left collapses a node or moves to its parent, Home/End and PageUp/PageDown jump to rows, Enter clicks a row,
+     * and typed letters jump to the next node whose label starts with them. When a selection mode is set,
+     * the focused node is selected, Shift extends the selection from the anchor node, and Ctrl/Cmd+A selects all
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    VTree.prototype._onKeyDown = function (e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'a' || e.key === 'A')
+            && (this._selectionMode === 'multiple' || this._selectionMode === 'range')) {
+            e.preventDefault();
+            this.selectAll();
+            return;
+        }
+        if (e.altKey || e.ctrlKey || e.metaKey || !this._rowCount) {
+            return;
+        }
+
+        var node = this._focusedNode;
+        if (node) {
+            // The focused node may be hidden by collapsing some of its parents
+            for (var parent = node.parent; (parent instanceof TreeNode) && parent !== this._root; parent = parent.parent) {
+                if (!parent.expanded) {
+                    node = parent;
+                }
+            }
+        }
+
+        var target = null;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'Down':
+                target = node ? this.getNextNode(node, true) : this.nodeAtIndex(0);
+                break;
+            case 'ArrowUp':
+            case 'Up':
+                target = node ? this.getPreviousNode(node, true) : this.nodeAtIndex(0);
+                break;
+            case 'ArrowRight':
+            case 'Right':
+                if (node && (node.firstChild || node.lazy) && !node.expanded) {
+                    this._setExpanded(node, true);
+                } else {
+                    target = node ? this._getShownNode(node.firstChild, true, false) : this.nodeAtIndex(0);
+                }
+                break;
+            case 'ArrowLeft':
+            case 'Left':
+                if (node && node.expanded) {
+                    this._setExpanded(node, false);
+                } else if (node && node.parent !== this._root) {
+                    target = node.parent;
+                }
+                break;
+            case 'Home':
+                target = this.nodeAtIndex(0);
+                break;
+            case 'End':
+                target = this.nodeAtIndex(this._rowCount - 1);
+                break;
+            case 'PageUp':
+            case 'PageDown':
+                var pageRows = Math.max(1, Math.floor(this._container.clientHeight / this._rowHeight) - 1);
+                var idx = node ? this._getIdxByNode(node, true) : 1;
+                idx += e.key === 'PageUp' ? -pageRows : pageRows;
+                target = this._getNodeByIdx(Math.max(1, Math.min(idx, this._rowCount)), true);
+                break;
+            case 'Enter':
+                if (node instanceof VTree.StatusNode) {
+                    if (node.status === VTree.StatusNode.ERROR) {
+                        this.loadChildren(node.parent);
+                    }
+                } else if (node && this._clickCallback) {
+                    this._clickCallback(node);
+                }
+                break;
+            default:
+                if (e.key && e.key.length === 1 && (e.key !== ' ' || this._typeAhead)) {
+                    target = this._findByTypeAhead(node, e.key);
+                    if (!target) {
+                        e.preventDefault();
+                        return;
+                    }
+                } else {
+                    return;
+                }
+        }
+
+        e.preventDefault();
+        if (target) {
+            this.focusNode(target);
+            if (!(target instanceof VTree.StatusNode)) {
+                this._selectNodeByEvent(target, e);
+            }
+        } else if (node !== this._focusedNode) {
+            this.focusNode(node);
         }
     };
 
+    /**
+     * Appends the typed letter to the recently typed ones and finds the next visible node whose label starts with them
+     * @param {TreeNode} node the node to start searching from
+     * @param {String} letter
+     * @returns {TreeNode} the found node or null
+     * @private
+     */
+    VTree.prototype._findByTypeAhead = function (node, letter) {
+        if (this._typeAheadTimerId !== null) {
+            clearTimeout(this._typeAheadTimerId);
+        }
+        this._typeAheadTimerId = setTimeout(function () {
+            this._typeAhead = '';
+            this._typeAheadTimerId = null;
+        }.bind(this), VTree.TYPE_AHEAD_TIMEOUT);
+
+        this._typeAhead += letter.toLowerCase();
+        // When typing the first letter, look for the next node, otherwise the current node may match better
+        var start = node ? (this._typeAhead.length > 1 ? node : this.getNextNode(node, true)) : null;
+        start = start || this.nodeAtIndex(0);
+        var candidate = start;
+        do {
+            if (candidate.getLabel().toLowerCase().indexOf(this._typeAhead) === 0) {
+                return candidate;
+            }
+            candidate = this.getNextNode(candidate, true) || this.nodeAtIndex(0);
+        } while (candidate !== start);
+        return null;
+    };
+
+    /**
+     * Expands or collapses the node and repaints the tree
+     * @param {TreeNode} node
+     * @param {Boolean} expanded
+     * @private
+     */
+    VTree.prototype._setExpanded = function (node, expanded) {
+        if (node.expanded !== expanded) {
+            node.expanded = expanded;
+            node.handleChange(expanded ? TreeNode._Change.ExpandedSet : TreeNode._Change.ExpandedRemoved, node);
+        }
+    };
+
+    /**
+     * Sets the nodes dragged by the next drag instead of the dragged node or the selection. They are dropped
+     * when that drag ends
+     * @param {Array} dragNodes
+     */
     VTree.prototype.setDragNodes = function (dragNodes) {
         if (dragNodes && dragNodes.length) {
             this._dragNodes = dragNodes.slice();
@@ -898,8 +2685,12 @@
     };
 
     VTree.prototype._nodeDragStart = function (node, e) {
+        if (node instanceof VTree.StatusNode) {
+            e.preventDefault();
+            return;
+        }
         if (!this._dragNodes) {
-            this._dragNodes = [node];
+            this._dragNodes = node._selected ? this._getDraggedSelection() : [node];
         }
 
         // Setup some dummy drag-data to ensure dragging
@@ -908,6 +2699,17 @@
         this._aScroll.enableAScroll();
     };
 
+    /**
+     * Forgets the dragged nodes when the drag ends without a drop, so the next drag takes the current selection
+     * @param {TreeNode} node
+     * @param {Event} e
+     * @private
+     */
+    VTree.prototype._nodeDragEnd = function (node, e) {
+        this._dragNodes = null;
+        this._aScroll.disableAScroll();
+    };
+
     VTree.prototype._nodeDragEnter = function (node, e) {
         e.preventDefault();
         e.stopPropagation();
@@ -1040,7 +2842,7 @@
     };
 
     VTree.prototype._dropHereAllowed = function (node) {
-        var res = this._dragNodes && this._dragNodes.length;
+        var res = this._dragNodes && this._dragNodes.length && !(node instanceof VTree.StatusNode);
         for (var i = 0; res && i < this._dragNodes.length; ++i) {
             var dragNode = this._dragNodes[i];
             res = dragNode !== node && !this._nodeHasSomeParent(node, dragNode);